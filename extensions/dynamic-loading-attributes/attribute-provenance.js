@@ -0,0 +1,60 @@
+// v1.0.0
+"use strict"
+
+// this module builds the attribute provenance manifest used by the load-global-site-attributes extension
+// for each component version, it lists each effective attribute with the source of its value:
+//   file ......... a loaded (global) attribute file
+//   scoped-file .. a loaded attribute file scoped to the component
+//   playbook ..... the asciidoc attributes of the playbook (site.yml), a soft set one ranks below a scoped file
+//   antora.yml ... the asciidoc attributes of the component version
+//   antora ....... set by Antora itself, like site-title or site-url
+// values of lower precedence that were overridden are listed in 'overrides', the closest one first
+
+function build_provenance({ contentCatalog, siteAsciiDocConfig, global_layers, scoped_layers, playbook_attributes, is_locked, component_keys }) {
+    // global_layers: list of { file, attributes } in merge order
+    // scoped_layers: list of { file, components, attributes } in merge order
+    // is_locked: tells if a playbook value is locked, a soft set one is overridden by a scoped file
+    // component_keys: WeakMap of component versions to the set of attribute names their antora.yml set
+    // returns the manifest object
+    const components = {}
+    const playbook_soft   = {}
+    const playbook_locked = {}
+    Object.entries(playbook_attributes).forEach(([key, value]) => {
+      (is_locked(value) ? playbook_locked : playbook_soft)[key] = value
+    })
+
+    contentCatalog.getComponents().forEach(({ name, versions }) => {
+      // in order of precedence, lowest first
+      const layers = [
+        ...global_layers.map(({ file, attributes }) => ({ source: 'file', file, attributes })),
+        { source: 'playbook', attributes: playbook_soft },
+        ...scoped_layers
+          .filter((layer) => layer.components.includes(name))
+          .map(({ file, attributes }) => ({ source: 'scoped-file', file, attributes })),
+        { source: 'playbook', attributes: playbook_locked },
+      ]
+
+      components[name] = {}
+      versions.forEach((component_version) => {
+        const attributes = (component_version.asciidoc || siteAsciiDocConfig).attributes || {}
+        const set_by_component = component_keys.get(component_version) || new Set()
+        const entries = {}
+
+        Object.keys(attributes).sort().forEach((key) => {
+          const chain = layers
+            .filter((layer) => key in layer.attributes)
+            .map(({ source, file, attributes }) => ({ source, file, value: attributes[key] }))
+          if (set_by_component.has(key)) chain.push({ source: 'antora.yml', value: attributes[key] })
+
+          const effective = chain.pop() || { source: 'antora' }
+          entries[key] = { value: attributes[key], source: effective.source, file: effective.file }
+          if (chain.length) entries[key].overrides = chain.reverse()
+        })
+        components[name][component_version.version] = entries
+      })
+    })
+
+    return { generated: new Date().toISOString(), components }
+}
+
+module.exports = { build_provenance }
@@ -0,0 +1,136 @@
+// v1.0.0
+"use strict"
+
+// this module scans AsciiDoc sources for attribute references and definitions
+// it is used by the load-global-site-attributes extension to report:
+//   undefined ... referenced attributes that are defined nowhere
+//   unused    ... loaded (global) attributes that no source references
+//   overridden .. loaded (global) attributes whose value is overridden by the playbook
+
+// attributes provided by Asciidoctor and Antora, references to them are never undefined
+const BUILTIN_ATTRIBUTES = new Set([
+  // character replacements
+  'amp', 'apos', 'asterisk', 'backslash', 'backtick', 'blank', 'brvbar', 'caret', 'cpp', 'cxx',
+  'deg', 'empty', 'endsb', 'gt', 'ldquo', 'lsquo', 'lt', 'nbsp', 'plus', 'pp', 'quot', 'rdquo',
+  'rsquo', 'sp', 'startsb', 'tilde', 'two-colons', 'two-semicolons', 'vbar', 'wj', 'zwsp',
+  // document and environment
+  'asciidoctor', 'asciidoctor-version', 'attribute-missing', 'attribute-undefined', 'author',
+  'authorinitials', 'authors', 'backend', 'basebackend', 'docdate', 'docdatetime', 'docdir',
+  'docfile', 'docfilesuffix', 'docname', 'doctime', 'doctitle', 'doctype', 'docyear', 'email',
+  'embedded', 'filetype', 'firstname', 'lastname', 'leveloffset', 'localdate', 'localdatetime',
+  'localtime', 'localyear', 'middlename', 'outdir', 'outfile', 'outfilesuffix', 'relfileprefix',
+  'relfilesuffix', 'revdate', 'revnumber', 'revremark', 'safe-mode-name', 'toc-title', 'user-home',
+  // antora
+  'antora-version', 'attachmentsdir', 'examplesdir', 'imagesdir', 'partialsdir',
+])
+const BUILTIN_PREFIXES = ['page-', 'site-', 'env-', 'safe-mode-']
+
+const NAME      = '[A-Za-z0-9_][A-Za-z0-9_-]*'
+const REFERENCE = new RegExp(`(\\\\)?\\{(${NAME})\\}`, 'g')
+const INLINE_DEFINITION = new RegExp(`\\{(?:set|counter2?):(${NAME})`, 'g')
+const DEFINITION = new RegExp(`^:!?(${NAME})!?:`)
+
+function is_builtin(name) {
+    return BUILTIN_ATTRIBUTES.has(name) || name.endsWith('-caption') || name.endsWith('-label') ||
+           BUILTIN_PREFIXES.some((prefix) => name.startsWith(prefix))
+}
+
+function scan_source(text) {
+    // returns { references: [{ name, line }], definitions: Set }
+    // comments and verbatim blocks are skipped, unless a block enables attribute substitution
+    const references  = []
+    const definitions = new Set()
+    let block = null         // the delimiter of the open verbatim or comment block
+    let block_subs = false   // the open block substitutes attributes
+    let block_attrs = ''     // the block attribute line preceding a delimiter
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      const delimiter = line.match(/^(-{4,}|\.{4,}|\+{4,}|\/{4,})\s*$/)
+      if (block) {
+        if (delimiter && delimiter[1] === block) block = null
+        else if (block_subs) collect_references(line, index + 1, references)
+        return
+      }
+      if (delimiter) {
+        block = delimiter[1]
+        block_subs = !block.startsWith('/') && /subs=["']?[^\]]*attributes/.test(block_attrs)
+        block_attrs = ''
+        return
+      }
+      if (line.startsWith('//')) return
+      block_attrs = /^\[.*\]\s*$/.test(line) ? line : ''
+
+      const definition = line.match(DEFINITION)
+      if (definition) definitions.add(definition[1])
+      for (const match of line.matchAll(INLINE_DEFINITION)) definitions.add(match[1])
+      collect_references(line, index + 1, references)
+    })
+    return { references, definitions }
+}
+
+function collect_references(line, line_number, references) {
+    for (const match of line.matchAll(REFERENCE)) {
+      // escaped references and template syntax like ${var} or {{ var }} are no attribute references
+      if (match[1]) continue
+      const before = line[match.index - 1]
+      if (before === '$' || before === '{' || line[match.index + match[0].length] === '}') continue
+      references.push({ name: match[2], line: line_number })
+    }
+}
+
+function collect_attribute_usage({ contentCatalog, siteAsciiDocConfig, loaded, overridden, ignore = [] }) {
+    // loaded: Map of loaded attribute names to the file they came from
+    // overridden: list of { name, file, global, local } collected when merging with the playbook
+    // returns the report object
+    const site_attributes = (siteAsciiDocConfig && siteAsciiDocConfig.attributes) || {}
+    const ignored = new Set(ignore)
+    const referenced = new Set()
+    const undefined_refs = new Map()
+
+    // references in attribute values count as usage
+    const scan_values = (attributes) => Object.values(attributes || {}).forEach((value) => {
+      if (typeof value !== 'string') return
+      for (const match of value.matchAll(REFERENCE)) referenced.add(match[2])
+    })
+    scan_values(site_attributes)
+
+    contentCatalog.getComponents().forEach(({ name: component, versions }) => {
+      versions.forEach((component_version) => {
+        const { version } = component_version
+        const attributes = (component_version.asciidoc || siteAsciiDocConfig || {}).attributes || {}
+        scan_values(attributes)
+
+        // definitions count for the whole component version, as partials are included into pages
+        const definitions = new Set()
+        const references = []
+        contentCatalog.findBy({ component, version }).forEach((file) => {
+          if (file.src.mediaType !== 'text/asciidoc' || !file.contents) return
+          const scanned = scan_source(file.contents.toString())
+          scanned.definitions.forEach((name) => definitions.add(name))
+          scanned.references.forEach(({ name, line }) => references.push({ name, line, path: file.src.path }))
+        })
+
+        references.forEach(({ name, line, path }) => {
+          referenced.add(name)
+          if (name in attributes || definitions.has(name) || is_builtin(name) || ignored.has(name)) return
+          if (!undefined_refs.has(name)) undefined_refs.set(name, [])
+          undefined_refs.get(name).push({ component, version, path, line })
+        })
+      })
+    })
+
+    return {
+      generated: new Date().toISOString(),
+      undefined: [...undefined_refs.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, references]) => ({ name, references })),
+      // page-* attributes are consumed by the UI, not by content
+      unused: [...loaded.entries()]
+        .filter(([name]) => !referenced.has(name) && !ignored.has(name) && !name.startsWith('page-') && name !== 'language-data')
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, file]) => ({ name, file })),
+      overridden,
+    }
+}
+
+module.exports = { collect_attribute_usage, scan_source, is_builtin }
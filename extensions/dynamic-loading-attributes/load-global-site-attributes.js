@@ -1,90 +1,448 @@
-// v1.0.0
+// v1.6.0
 "use strict"
 
-const fs    = require('fs')
-const http  = require('http')
-const https = require('https')
-const yaml  = require('js-yaml')
+const fs     = require('fs')
+const os     = require('os')
+const path   = require('path')
+const crypto = require('crypto')
+const http   = require('http')
+const https  = require('https')
+const yaml   = require('js-yaml')
+
+const { validate_attributes, format_error } = require('./validate-global-attributes.js')
+const { collect_attribute_usage } = require('./attribute-usage.js')
+const { build_provenance } = require('./attribute-provenance.js')
 
 // this extension loads (global) attributes into the playbook (site.yml)
 // !! attributes in the playbook take precedence over loaded attributes !!
 // allows test building a repo like in multi repo envs with custom local attribute values
 // you can temporarily disable loading by setting 'enabled: false'
+// layering:
+//   'attributefile' (one resource) and 'attributefiles' (list of resources) can be combined,
+//   'attributefile' is loaded first, then the 'attributefiles' entries in the order listed
+//   a later file overrides the keys of an earlier one, the playbook overrides all of them
+//   an 'attributefiles' entry is either a resource (file or url) or an object
+//   { file: <resource>, components: [<name>, ...] }
+//   an entry with 'components' is scoped: it is not merged into the playbook but only into
+//   the listed components, an attribute defined in a component's antora.yml is kept
+//   a playbook attribute wins over a scoped file unless it is soft set ('value@' or false)
+// remote files (url):
+//   a successful download is stored in a local cache ('cachedir', defaults to a subdirectory of
+//   the Antora cache dir) and revalidated on the next build using ETag/Last-Modified
+//   a download times out 'timeout' ms (default 10000) after it started, redirects are followed
+//   within the same time
+//   network errors, timeouts and 5xx/429 responses are retried 'retries' times (default 2)
+//   if all attempts fail and a cached copy exists, the cached copy is used with a warning
+//   with 'offline: true' no request is made and the cached copy is used with a warning
+// validation:
+//   each file is checked against the schema in validate-global-attributes.js ('validate', default true)
+//   with 'validate: warn' errors are logged but do not stop, with 'validate: false' no check is made
+// usage report ('usage-report'):
+//   after loading, the content catalog is scanned for attribute references, the report lists
+//   undefined references, loaded attributes that are never used (page-* ones are ignored, the UI
+//   uses them) and loaded attributes overridden by the playbook
+//   the summary is logged, the report is written as JSON to 'file' (default build/attribute-usage.json)
+//   with 'fail-on-undefined: true' an undefined reference fails the build
+// provenance manifest ('provenance'):
+//   lists each effective attribute of each component version with the source of its value
+//   (loaded file, playbook, antora.yml) and the values it overrides, see attribute-provenance.js
+//   written as attribute-provenance.json to the site output directory or to 'file' if set
+// loading for other extensions:
+//   load_attribute_file and get_load_settings are exported, so other extensions can load a file
+//   the same way (local or url with cache, retries and offline mode), like vlp.js its language data
 // error handling:
-//   if no 'attributefile' is configured: warn, but continue processing
-//   if loading or processing the file caused an error (like file not found, needs fixing): stop
+//   if neither 'attributefile' nor 'attributefiles' is configured: warn, but continue processing
+//   if loading or processing a file caused an error (like file not found, needs fixing): stop
 
 module.exports.register = function ({ config }) {
     const logger = this.getLogger('load-global-site-attributes-extension')
-    let attrib_file   = ''
-    let attrib_yaml   = {}
     let orig_playbook = {}
-    let result        = {}
+    let global_layers = []
+    let scoped_layers = []
+    let loaded        = new Map()
+    let overridden    = []
+    let provenance    = null
 
     this.on("playbookBuilt", async ({ playbook }) => {
       // get the original playbook asciidoc attributes, note it can be empty
       orig_playbook = JSON.parse(JSON.stringify(playbook.asciidoc.attributes)) || {}
+      global_layers = []
+      scoped_layers = []
+      loaded        = new Map()
+      overridden    = []
+      provenance    = null
+
+      try {
+        const sources  = get_attribute_sources(config)
+        const settings = get_load_settings(config, playbook, logger)
 
-      // only if attributefile is configured in site.yml pointing to a resource (file or url)
-      if (config.attributefile) {
-        try {
-          // define the get function to use and load the file
-          if (config.attributefile.startsWith('http')) {
-            attrib_file = await get_file_from_url(config.attributefile)
-          } else {
-            attrib_file = await get_file_from_local(config.attributefile)
+        // only if attribute files are configured in site.yml pointing to a resource (file or url)
+        if (sources.length) {
+          let attrib_global = {}
+          for (const source of sources) {
+            const attrib_yaml = await load_attribute_file(source.file, settings)
+            Object.keys(attrib_yaml).forEach((key) => loaded.set(key, source.file))
+            if (source.components) {
+              scoped_layers.push({ ...source, attributes: attrib_yaml })
+            } else {
+              global_layers.push({ ...source, attributes: attrib_yaml })
+              Object.assign(attrib_global, attrib_yaml)
+            }
           }
 
-          // convert and update
-          attrib_yaml = await convert_yaml(attrib_file)
-          result = Object.assign(attrib_yaml, playbook.asciidoc.attributes)
-          playbook.asciidoc.attributes = result
-          this.updateVariables( playbook )
+          for (const [key, value] of Object.entries(attrib_global)) {
+            if (key in orig_playbook && !is_same_value(orig_playbook[key], value)) {
+              overridden.push({ name: key, file: loaded.get(key), global: value, local: orig_playbook[key] })
+            }
+          }
 
-        // loading or processing the file caused an error
-        } catch (error) {
-            logger.error(error)
-            this.stop()
+          // update, the playbook attributes take precedence
+          playbook.asciidoc.attributes = Object.assign(attrib_global, playbook.asciidoc.attributes)
+          this.updateVariables( playbook )
+        } else {
+          logger.warn('attributefile is not configured in the playbook (site.yml).')
         }
-      } else {
-        logger.warn('attributefile is not configured in the playbook (site.yml).')
+
+      // loading or processing a file caused an error
+      } catch (error) {
+          logger.error(error)
+          this.stop()
       }
 //      console.log(this.getVariables())
     })
+
+    this.on("contentClassified", ({ playbook, siteAsciiDocConfig, contentCatalog }) => {
+      const component_keys = get_component_keys(siteAsciiDocConfig, contentCatalog)
+      apply_scoped_layers(scoped_layers, orig_playbook, component_keys, siteAsciiDocConfig, contentCatalog)
+
+      if (config.usageReport) {
+        const options = config.usageReport === true ? {} : config.usageReport
+        const report = collect_attribute_usage({
+          contentCatalog, siteAsciiDocConfig, loaded, overridden, ignore: options.ignore,
+        })
+        write_usage_report(report, path.resolve(playbook.dir || '.', options.file || 'build/attribute-usage.json'), logger)
+        if (options.failOnUndefined && report.undefined.length) {
+          throw new Error(`${report.undefined.length} undefined attribute(s) referenced, see the attribute usage report.`)
+        }
+      }
+
+      if (config.provenance) {
+        provenance = build_provenance({
+          contentCatalog, siteAsciiDocConfig, global_layers, scoped_layers,
+          playbook_attributes: orig_playbook, is_locked, component_keys,
+        })
+        if (config.provenance.file) {
+          const file = path.resolve(playbook.dir || '.', config.provenance.file)
+          try {
+            fs.mkdirSync(path.dirname(file), { recursive: true })
+            fs.writeFileSync(file, JSON.stringify(provenance, null, 2), 'utf8')
+            provenance = null
+          } catch (error) {
+            logger.warn(`cannot write the attribute provenance manifest ${file}: ${error.message}`)
+          }
+        }
+      }
+    })
+
+    this.on("beforePublish", ({ siteCatalog }) => {
+      // no path configured, publish the manifest with the site
+      if (!provenance) return
+      siteCatalog.addFile({
+        contents: Buffer.from(JSON.stringify(provenance, null, 2)),
+        out:      { path: 'attribute-provenance.json' },
+      })
+    })
 }
 
-function get_file_from_url(url) {
-    // promise a file from url
-    // when executed it returns the contents if found
+module.exports.load_attribute_file = load_attribute_file
+module.exports.get_load_settings   = get_load_settings
+
+function get_component_keys(siteAsciiDocConfig, contentCatalog) {
+    // returns a WeakMap of component versions to the attribute names set by their antora.yml
+    // a value differing from the site one was set by the component
+    const site_attributes = siteAsciiDocConfig.attributes || {}
+    const component_keys = new WeakMap()
+    contentCatalog.getComponents().forEach(({ versions }) => {
+      versions.forEach((component_version) => {
+        const attributes = (component_version.asciidoc || siteAsciiDocConfig).attributes || {}
+        component_keys.set(component_version, new Set(Object.keys(attributes).filter((key) =>
+          !(key in site_attributes) || attributes[key] !== site_attributes[key])))
+      })
+    })
+    return component_keys
+}
+
+function apply_scoped_layers(scoped_layers, orig_playbook, component_keys, siteAsciiDocConfig, contentCatalog) {
+    // merges the component-scoped files into the asciidoc config of the listed components
+    if (!scoped_layers.length) return
+
+    contentCatalog.getComponents().forEach(({ name, versions }) => {
+      const layers = scoped_layers.filter((layer) => layer.components.includes(name))
+      if (!layers.length) return
+      // scoped files are merged in the order listed too
+      const attrib_scoped = Object.assign({}, ...layers.map((layer) => layer.attributes))
+
+      versions.forEach((component_version) => {
+        const asciidoc   = component_version.asciidoc || siteAsciiDocConfig
+        const attributes = Object.assign({}, asciidoc.attributes)
+        for (const [key, value] of Object.entries(attrib_scoped)) {
+          // the playbook wins, unless its value is soft set ('value@' or false)
+          if (key in orig_playbook && is_locked(orig_playbook[key])) continue
+          // the component (antora.yml) wins
+          if (component_keys.get(component_version).has(key)) continue
+          attributes[key] = value
+        }
+        // the asciidoc config can be shared with the site or other versions, never change it in place
+        component_version.asciidoc = Object.assign({}, asciidoc, { attributes })
+      })
+    })
+}
+
+function is_locked(value) {
+    // same rule as Antora uses to collate attributes, only a soft set value can be overridden
+    return !(typeof value === 'string' ? value.endsWith('@') : value === false)
+}
+
+function write_usage_report(report, file, logger) {
+    // logs a summary and writes the report, a report that cannot be written does not fail the build
+    report.undefined.forEach(({ name, references }) => {
+      const [first] = references
+      logger.warn(`undefined attribute {${name}} referenced ${references.length} time(s), ` +
+                  `first in ${first.component}@${first.version}: ${first.path}:${first.line}`)
+    })
+    logger.info(`attribute usage: ${report.undefined.length} undefined, ${report.unused.length} unused, ` +
+                `${report.overridden.length} overridden by the playbook, report: ${file}`)
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, JSON.stringify(report, null, 2), 'utf8')
+    } catch (error) {
+      logger.warn(`cannot write the attribute usage report ${file}: ${error.message}`)
+    }
+}
+
+function is_same_value(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b)
+}
+
+function get_attribute_sources(config) {
+    // returns the configured attribute files in merge order as { file, components }
+    // throws if an entry cannot be used
+    const entries = []
+    if (config.attributefile) entries.push(config.attributefile)
+    if (config.attributefiles) {
+      if (!Array.isArray(config.attributefiles)) {
+        throw `attributefiles must be a list.`
+      }
+      entries.push(...config.attributefiles)
+    }
+    return entries.map((entry) => {
+      if (typeof entry === 'string') return { file: entry }
+      if (!entry || typeof entry.file !== 'string') {
+        throw `attributefiles entry without a file: ${JSON.stringify(entry)}`
+      }
+      if (entry.components === undefined) return { file: entry.file }
+      const components = [].concat(entry.components).map(String)
+      if (!components.length) {
+        throw `attributefiles entry with an empty components list: ${entry.file}`
+      }
+      return { file: entry.file, components }
+    })
+}
+
+function get_load_settings(config, playbook, logger) {
+    // returns the settings used to get and check files
+    const antora_cache = (playbook.runtime && playbook.runtime.cacheDir) ||
+                         path.join(os.homedir(), '.cache', 'antora')
+    const settings = {
+      cache_dir: path.resolve(config.cachedir || path.join(antora_cache, 'load-global-site-attributes')),
+      timeout:   config.timeout === undefined ? 10000 : Number(config.timeout),
+      retries:   config.retries === undefined ? 2 : Number(config.retries),
+      offline:   config.offline === true || config.offline === 'true',
+      validate:  config.validate === undefined ? true : config.validate,
+      logger,
+    }
+    if (!(settings.timeout > 0)) throw `timeout must be a positive number of milliseconds.`
+    if (!(settings.retries >= 0)) throw `retries must be zero or a positive number.`
+    if (![true, false, 'warn'].includes(settings.validate)) throw `validate must be true, false or warn.`
+    return settings
+}
+
+async function load_attribute_file(file, settings) {
+    // define the get function to use, load and convert the file
+    // an empty file results in no attributes
+    let attrib_file = ''
+    if (file.startsWith('http')) {
+      attrib_file = await get_file_from_cached_url(file, settings)
+    } else {
+      attrib_file = await get_file_from_local(file)
+    }
+    if (settings.validate) {
+      const errors = validate_attributes(attrib_file, file)
+      if (errors.length && settings.validate === 'warn') {
+        errors.forEach((error) => settings.logger.warn(format_error(error)))
+      } else if (errors.length) {
+        throw `${file} does not match the attribute file schema:\n` + errors.map(format_error).join('\n')
+      }
+    }
+    const attrib_yaml = await convert_yaml(attrib_file)
+    if (attrib_yaml === null || attrib_yaml === undefined) return {}
+    if (typeof attrib_yaml !== 'object' || Array.isArray(attrib_yaml)) {
+      throw `${file}: the attribute file must contain key/value pairs.`
+    }
+    return attrib_yaml
+}
+
+async function get_file_from_cached_url(url, settings) {
+    // returns the contents of a url, using and updating the local cache
+    const { logger } = settings
+    const cache = read_cache(url, settings.cache_dir)
+
+    if (settings.offline) {
+      if (!cache) throw `offline: no cached copy of ${url} in ${settings.cache_dir}`
+      logger.warn(`offline: using the cached copy of ${url} from ${cache.meta.fetched}.`)
+      return cache.body
+    }
+
+    const headers = {}
+    if (cache && cache.meta.etag) headers['If-None-Match'] = cache.meta.etag
+    if (cache && cache.meta.last_modified) headers['If-Modified-Since'] = cache.meta.last_modified
+
+    let res
+    try {
+      res = await get_file_from_url_with_retries(url, headers, settings)
+    } catch (error) {
+      if (!cache) throw error
+      logger.warn(`${error.message || error}\nusing the cached copy of ${url} from ${cache.meta.fetched}.`)
+      return cache.body
+    }
+
+    // not modified since cached
+    if (res.status === 304 && cache) return cache.body
+    write_cache(url, settings.cache_dir, res, logger)
+    return res.body
+}
+
+async function get_file_from_url_with_retries(url, headers, settings) {
+    // retries transient failures with a growing delay between the attempts
+    let attempt = 0
+    while (true) {
+      try {
+        return await get_file_from_url(url, headers, settings.timeout)
+      } catch (error) {
+        if (!error.retryable || attempt >= settings.retries) throw error
+        attempt++
+        settings.logger.warn(`${error.message}\nretry ${attempt} of ${settings.retries}: ${url}`)
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt))
+      }
+    }
+}
+
+function get_file_from_url(url, headers = {}, timeout = 10000, redirects = 5, deadline = Date.now() + timeout) {
+    // promise a file from url, following redirects
+    // when executed it returns { status, headers, body }, status is 304 if not modified
+    // the timeout is the total time for the download, redirects included, not an idle time
     return new Promise((resolve, reject) => {
+      const remaining = deadline - Date.now()
+      const timeout_error = () => request_error(`Request Failed.\nTimeout after ${timeout} ms\n${url}`, true)
+      if (remaining <= 0) return reject(timeout_error())
       const client = url.startsWith('https') ? https : http
-      const req = client.request(url, (res) => {
-        if (res.statusCode < 200 || res.statusCode >= 300) {
-              reject(`Request Failed.\n` +
-                     `Status Code: ${res.statusCode}\n` +
-                     `${url}`)
+      const req = client.request(url, { headers }, (res) => {
+        if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+          res.resume()
+          clearTimeout(timer)
+          if (redirects <= 0) {
+            return reject(request_error(`Request Failed.\nToo many redirects\n${url}`, false))
           }
-          var body = []
-          res.on('data', function(chunk) {
-              body.push(chunk)
-          })
-          res.on('end', function() {
-              try {
-                  body = Buffer.concat(body).toString()
-              } catch(error) {
-                  reject(error)
-              }
-              resolve(body)
-          })
+          const location = new URL(res.headers.location, url).toString()
+          return resolve(get_file_from_url(location, headers, timeout, redirects - 1, deadline))
+        }
+        if (res.statusCode === 304) {
+          res.resume()
+          clearTimeout(timer)
+          return resolve({ status: 304, headers: res.headers, body: null })
+        }
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          res.resume()
+          clearTimeout(timer)
+          return reject(request_error(`Request Failed.\n` +
+                                      `Status Code: ${res.statusCode}\n` +
+                                      `${url}`,
+                                      res.statusCode >= 500 || res.statusCode === 429))
+        }
+        var body = []
+        res.on('data', function(chunk) {
+            body.push(chunk)
+        })
+        res.on('end', function() {
+            clearTimeout(timer)
+            resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(body).toString() })
+        })
+        res.on('error', (error) => {
+          clearTimeout(timer)
+          reject(request_error(error.message, true))
+        })
       })
+      // the promise is settled with the timeout, the errors of the destroyed request are ignored
+      const timer = setTimeout(() => {
+        reject(timeout_error())
+        req.destroy()
+      }, remaining)
       req.on('error', (error) => {
-        reject(error.message)
+        clearTimeout(timer)
+        reject(error.retryable === undefined ? request_error(error.message, true) : error)
       })
       // send the request
       req.end()
     })
 }
 
+function request_error(message, retryable) {
+    // an error that tells if the request can be retried
+    const error = new Error(message)
+    error.retryable = retryable
+    return error
+}
+
+function get_cache_paths(url, cache_dir) {
+    // returns the cache file names for a url
+    const key = crypto.createHash('sha1').update(url).digest('hex')
+    return {
+      body: path.join(cache_dir, `${key}.yml`),
+      meta: path.join(cache_dir, `${key}.json`),
+    }
+}
+
+function read_cache(url, cache_dir) {
+    // returns { body, meta } of the cached copy or undefined if there is none
+    const paths = get_cache_paths(url, cache_dir)
+    try {
+      return {
+        body: fs.readFileSync(paths.body, 'utf8'),
+        meta: JSON.parse(fs.readFileSync(paths.meta, 'utf8')),
+      }
+    } catch (error) {
+      return undefined
+    }
+}
+
+function write_cache(url, cache_dir, res, logger) {
+    // a cache that cannot be written only costs the fallback, do not fail the build
+    const paths = get_cache_paths(url, cache_dir)
+    const meta = {
+      url,
+      etag:          res.headers.etag,
+      last_modified: res.headers['last-modified'],
+      fetched:       new Date().toISOString(),
+    }
+    try {
+      fs.mkdirSync(cache_dir, { recursive: true })
+      fs.writeFileSync(paths.body, res.body, 'utf8')
+      fs.writeFileSync(paths.meta, JSON.stringify(meta, null, 2), 'utf8')
+    } catch (error) {
+      logger.warn(`cannot write the cache for ${url}: ${error.message}`)
+    }
+}
+
 function get_file_from_local(file) {
     // promise a file from local filesystem
     // when executed it returns the contents if found
@@ -0,0 +1,236 @@
+// v1.0.0
+"use strict"
+
+const fs   = require('fs')
+const yaml = require('js-yaml')
+
+// this module validates a (global) attribute file against the schema declared below
+// it is used by the load-global-site-attributes extension at load time and can be run standalone:
+//   node validate-global-attributes.js <file> [<file> ...]
+// the exit code is 1 if any file has errors, each error is printed as <file>:<line>: <message>
+
+// the declared schema of the attribute file
+// all attributes must have a scalar value, except the structured ones listed in 'structured'
+const SCHEMA = {
+  key_rules: [
+    {
+      applies: (key) => /product-?name/.test(key),
+      pattern: /^[a-z0-9]+-product-name(-tm)?$/,
+      message: 'product name keys must follow the <product>-product-name[-tm] convention',
+    },
+  ],
+  structured: {
+    'page-project-data': {
+      // single key entries defining a yaml anchor, like 'page-global-dsc-base: &dsc_base ...'
+      anchor_key: /^page-global-[a-z0-9-]+$/,
+      unique:     'url-part',
+      fields: {
+        'url-part':      { required: true,  pattern: /^[a-z0-9][a-z0-9-]*$/ },
+        'title':         { required: true,  pattern: /\S/ },
+        'fullTitle':     { required: false, pattern: /\S/ },
+        'dsc-base-url':  { required: true,  pattern: /^https?:\/\/\S+$/ },
+        'dsc-base-url2': { required: true,  pattern: /^[a-z0-9-]*$/ },
+        'dsc-base-url3': { required: true,  pattern: /^[a-z0-9-]*$/ },
+      },
+    },
+    'language-data': {
+      lang_key: /^[a-z]{2,3}(_[a-z]{2})?$/,
+      line:     /^:([A-Za-z0-9_][\w-]*):(\s.*)?$/,
+    },
+  },
+}
+
+function validate_attributes(text, file = '<input>') {
+    // returns a list of { file, line, message }, the list is empty if the text is valid
+    // line is 1-based, the line of the key or list item containing the error
+    const errors    = []
+    const positions = new Map()
+    const stack     = []
+    const error_at  = (line, message) => errors.push({ file, line, message })
+
+    let data
+    try {
+      data = yaml.load(text, { filename: file, listener: track_positions(stack, positions) })
+    } catch (error) {
+      error_at(error.mark ? error.mark.line + 1 : 1, `yaml parser: ${error.reason || error.message}`)
+      return errors
+    }
+    if (data === null || data === undefined) return errors
+    if (!is_mapping(data)) {
+      error_at(1, 'the attribute file must contain key/value pairs')
+      return errors
+    }
+
+    const root_lines = get_child_lines(data, positions)
+    for (const [key, value] of Object.entries(data)) {
+      const line = root_lines.get(key) || 1
+      for (const rule of SCHEMA.key_rules) {
+        if (rule.applies(key) && !rule.pattern.test(key)) error_at(line, `${key}: ${rule.message}`)
+      }
+      if (key === 'page-project-data') {
+        validate_project_data(value, line, positions, error_at)
+      } else if (key === 'language-data') {
+        validate_language_data(value, line, positions, error_at)
+      } else if (value !== null && typeof value === 'object') {
+        error_at(line, `${key}: attributes must have a scalar value`)
+      }
+    }
+    return errors
+}
+
+function validate_project_data(value, line, positions, error_at) {
+    const schema = SCHEMA.structured['page-project-data']
+    if (!Array.isArray(value)) return error_at(line, 'page-project-data: must be a list')
+
+    const item_lines = get_child_lines(value, positions, line)
+    const seen = new Map()
+    value.forEach((entry, index) => {
+      const entry_line = item_lines.get(index)
+      if (!is_mapping(entry)) {
+        return error_at(entry_line, `page-project-data: entry ${index + 1} must be a mapping`)
+      }
+      const keys = Object.keys(entry)
+      // an anchor definition
+      if (keys.length === 1 && schema.anchor_key.test(keys[0])) {
+        if (typeof entry[keys[0]] !== 'string') {
+          error_at(entry_line, `page-project-data: ${keys[0]} must be a string`)
+        }
+        return
+      }
+      const name = typeof entry['url-part'] === 'string' ? entry['url-part'] : `entry ${index + 1}`
+      const field_lines = get_child_lines(entry, positions, entry_line)
+      for (const [field, rule] of Object.entries(schema.fields)) {
+        if (!(field in entry)) {
+          if (rule.required) error_at(entry_line, `page-project-data: ${name}: missing '${field}'`)
+          continue
+        }
+        if (typeof entry[field] !== 'string' || !rule.pattern.test(entry[field])) {
+          error_at(field_lines.get(field), `page-project-data: ${name}: invalid '${field}': ${JSON.stringify(entry[field])}`)
+        }
+      }
+      for (const field of keys) {
+        if (!(field in schema.fields)) {
+          error_at(field_lines.get(field), `page-project-data: ${name}: unknown key '${field}'`)
+        }
+      }
+      const unique = entry[schema.unique]
+      if (typeof unique === 'string') {
+        if (seen.has(unique)) {
+          error_at(entry_line, `page-project-data: duplicate '${schema.unique}' ${unique}, first defined on line ${seen.get(unique)}`)
+        } else {
+          seen.set(unique, entry_line)
+        }
+      }
+    })
+}
+
+function validate_language_data(value, line, positions, error_at) {
+    const schema = SCHEMA.structured['language-data']
+    if (!Array.isArray(value)) return error_at(line, 'language-data: must be a list')
+
+    const item_lines = get_child_lines(value, positions, line)
+    const seen = new Map()
+    value.forEach((entry, index) => {
+      const entry_line = item_lines.get(index)
+      if (!is_mapping(entry) || Object.keys(entry).length !== 1) {
+        return error_at(entry_line, `language-data: entry ${index + 1} must be a single '<lang>:' key with a list`)
+      }
+      const [lang] = Object.keys(entry)
+      const attrs  = entry[lang]
+      if (!schema.lang_key.test(lang)) {
+        error_at(entry_line, `language-data: invalid language '${lang}'`)
+      }
+      if (seen.has(lang)) {
+        error_at(entry_line, `language-data: duplicate language '${lang}', first defined on line ${seen.get(lang)}`)
+      } else {
+        seen.set(lang, entry_line)
+      }
+      if (!Array.isArray(attrs)) {
+        return error_at(entry_line, `language-data: ${lang}: must be a list of ':name: value' lines`)
+      }
+      const attr_lines = get_child_lines(attrs, positions, entry_line)
+      const names = new Set()
+      attrs.forEach((attr, attr_index) => {
+        const attr_line = attr_lines.get(attr_index)
+        const match = typeof attr === 'string' && attr.match(schema.line)
+        if (!match) {
+          return error_at(attr_line, `language-data: ${lang}: not a ':name: value' line: ${JSON.stringify(attr)}`)
+        }
+        if (names.has(match[1])) error_at(attr_line, `language-data: ${lang}: duplicate attribute '${match[1]}'`)
+        names.add(match[1])
+      })
+    })
+}
+
+function track_positions(stack, positions) {
+    // a js-yaml listener recording the start line of each composed node
+    // collections are stored in 'positions' with the lines of their child nodes in parse order
+    return (event, state) => {
+      if (event === 'open') {
+        stack.push({ line: state.line + 1, children: [] })
+        return
+      }
+      const frame = stack.pop()
+      if (stack.length) stack[stack.length - 1].children.push({ line: frame.line, value: state.result })
+      if (state.result !== null && typeof state.result === 'object') positions.set(state.result, frame)
+    }
+}
+
+function get_child_lines(container, positions, fallback = 1) {
+    // maps the keys (mapping) or indexes (list) of a parsed collection to their lines
+    // child nodes are matched in order, as parse events do not always map 1:1 to items
+    const frame = positions.get(container)
+    const lines = new Map()
+    const default_line = frame ? frame.line : fallback
+    const children = frame ? frame.children : []
+    // a mapping key is followed by its value node, skip it
+    const step = Array.isArray(container) ? 1 : 2
+    let cursor = 0
+    const next_line = (value) => {
+      for (let i = cursor; i < children.length; i++) {
+        if (children[i].value === value) {
+          cursor = i + step
+          return children[i].line
+        }
+      }
+      return default_line
+    }
+    if (Array.isArray(container)) {
+      container.forEach((item, index) => lines.set(index, next_line(item)))
+    } else {
+      Object.keys(container).forEach((key) => lines.set(key, next_line(key)))
+    }
+    return { get: (key) => lines.get(key) || default_line }
+}
+
+function is_mapping(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function format_error(error) {
+    return `${error.file}:${error.line}: ${error.message}`
+}
+
+module.exports = { SCHEMA, validate_attributes, format_error }
+
+// standalone use
+if (require.main === module) {
+  const files = process.argv.slice(2)
+  if (!files.length) {
+    console.error('Usage: node validate-global-attributes.js <file> [<file> ...]')
+    process.exit(2)
+  }
+  let failed = false
+  for (const file of files) {
+    let errors
+    try {
+      errors = validate_attributes(fs.readFileSync(file, 'utf8'), file)
+    } catch (error) {
+      errors = [{ file, line: 1, message: error.message }]
+    }
+    errors.forEach((error) => console.error(format_error(error)))
+    if (errors.length) failed = true
+    else console.log(`${file}: ok`)
+  }
+  process.exit(failed ? 1 : 0)
+}
@@ -0,0 +1,187 @@
+// Tracks the freshness of translated pages. Our modules are split by language (modules/en,
+// modules/zh, ...), a translated page is paired with the page of the source language with the
+// same relative path in the same component version.
+//
+// A translation is outdated if:
+//   - it records the hash of the source it was translated from (:page-translation-source-hash:)
+//     and the source has changed since, the hash is printed by
+//       node translation-freshness.js <source-file> [<source-file> ...]
+//   - else, if the :revdate: of the source is later than the one of the translation
+//
+// The source hash is taken from the page as read from the content source, before other
+// extensions change it (vlp.js rewrites the xrefs to latest and dev at contentAggregated), so it
+// is the hash printed by the command above.
+//
+// Each translated page gets the page attributes:
+//   :page-translation-status: ........ current, outdated, unknown (no usable revdate) or
+//                                      no-source (no page of the source language)
+//   :page-translation-outdated: ...... true if outdated (else unset), for a notice in the UI
+//   :page-translation-source-url: .... the URL of the source page
+//   :page-translation-source-revdate:  the :revdate: of the source page
+//
+// Configuration (playbook extension entry):
+//   source-language: ... the language (module) of the source pages (default en)
+//   json-report: ....... path of the JSON report, relative to the playbook
+//                        (default build/translation-freshness.json, false to disable)
+//   html-report: ....... path of the HTML report, relative to the playbook
+//                        (default build/translation-freshness.html, false to disable)
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_JSON_REPORT = 'build/translation-freshness.json'
+const DEFAULT_HTML_REPORT = 'build/translation-freshness.html'
+const REVDATE_RX = /^:revdate:[ \t]+(.+?)[ \t]*$/m
+const SOURCE_HASH_RX = /^:page-translation-source-hash:[ \t]+([0-9a-f]+)[ \t]*$/m
+const ATTRIBUTE_ENTRY_RX = /^:!?[\w-]+!?:.*$/gm
+const STATUSES = ['outdated', 'unknown', 'no-source', 'current']
+
+module.exports.register = function ({ config }) {
+  const sourceLanguage = config.sourceLanguage || 'en'
+  const logger = this.getLogger('translation-freshness')
+  // the contents of the files as aggregated, the listener goes first whatever the order of the
+  // extensions in the playbook
+  let sourceContents = new WeakMap()
+  this.prependListener('contentAggregated', ({ contentAggregate }) => {
+    sourceContents = new WeakMap()
+    contentAggregate.forEach(({ files }) => files.forEach((file) => sourceContents.set(file, file.contents)))
+  })
+
+  this.on('contentClassified', ({ playbook, contentCatalog }) => {
+    const report = { generated: new Date().toISOString(), sourceLanguage, totals: {}, components: {} }
+    STATUSES.forEach((status) => { report.totals[status] = 0 })
+
+    contentCatalog.getComponents().forEach(({ name: component, versions }) => {
+      if (component === 'shared') return
+      versions.forEach(({ version }) => {
+        const pages = contentCatalog.findBy({ component, version, family: 'page' }).filter((page) => page.contents)
+        const sources = new Map(pages
+          .filter((page) => page.src.module === sourceLanguage)
+          .map((page) => [page.src.relative, page]))
+        pages
+          .filter((page) => page.src.module !== sourceLanguage)
+          .forEach((page) => {
+            const text = page.contents.toString()
+            const source = sources.get(page.src.relative)
+            const freshness = getFreshness(text, source && (sourceContents.get(source) || source.contents).toString())
+            const lines = [`:page-translation-status: ${freshness.status}`]
+            if (freshness.status === 'outdated') lines.push(':page-translation-outdated: true')
+            if (source) {
+              if (source.pub) lines.push(`:page-translation-source-url: ${source.pub.url}`)
+              if (freshness.sourceRevdate) lines.push(`:page-translation-source-revdate: ${freshness.sourceRevdate}`)
+            }
+            page.contents = Buffer.from(lines.join('\n') + '\n' + text)
+
+            const languages = report.components[component] || (report.components[component] = {})
+            const byLanguage = languages[version] || (languages[version] = {})
+            const entry = byLanguage[page.src.module] || (byLanguage[page.src.module] = { totals: {}, pages: [] })
+            entry.totals[freshness.status] = (entry.totals[freshness.status] || 0) + 1
+            entry.pages.push({ path: page.src.relative, url: page.pub && page.pub.url, ...freshness })
+            report.totals[freshness.status]++
+          })
+      })
+    })
+
+    logger.info(STATUSES.map((status) => `${report.totals[status]} ${status}`).join(', ') + ' translated page(s)')
+    const write = (option, defaultFile, contents) => {
+      if (option === false) return
+      const file = path.resolve(playbook.dir || '.', option || defaultFile)
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true })
+        fs.writeFileSync(file, contents, 'utf8')
+      } catch (err) {
+        logger.warn(`cannot write the translation freshness report ${file}: ${err.message}`)
+      }
+    }
+    write(config.jsonReport, DEFAULT_JSON_REPORT, JSON.stringify(report, null, 2))
+    write(config.htmlReport, DEFAULT_HTML_REPORT, renderHtmlReport(report))
+  })
+}
+
+// Compares a translation with its source, returns { status, revdate, sourceRevdate, by }, by
+// telling if the status comes from the recorded source hash or from the revdates.
+function getFreshness (text, sourceText) {
+  const revdate = getRevdate(text)
+  if (sourceText === undefined) return { status: 'no-source', revdate }
+  const sourceRevdate = getRevdate(sourceText)
+  const recordedHash = (text.match(SOURCE_HASH_RX) || [])[1]
+  if (recordedHash) {
+    const status = getSourceHash(sourceText).startsWith(recordedHash) ? 'current' : 'outdated'
+    return { status, revdate, sourceRevdate, by: 'hash' }
+  }
+  const time = Date.parse(revdate)
+  const sourceTime = Date.parse(sourceRevdate)
+  if (Number.isNaN(time) || Number.isNaN(sourceTime)) return { status: 'unknown', revdate, sourceRevdate, by: 'revdate' }
+  return { status: sourceTime > time ? 'outdated' : 'current', revdate, sourceRevdate, by: 'revdate' }
+}
+
+function getRevdate (text) {
+  const match = text.match(REVDATE_RX)
+  return match ? match[1] : undefined
+}
+
+// The hash of a source page, attribute entries are left out, so a new :revdate: or attributes
+// injected by other extensions do not change it.
+function getSourceHash (text) {
+  const normalized = text
+    .replace(ATTRIBUTE_ENTRY_RX, '')
+    .split(/\r?\n/)
+    .map((line) => line.trimEnd())
+    .filter((line) => line)
+    .join('\n')
+  return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 16)
+}
+
+function renderHtmlReport (report) {
+  const escape = (text) => String(text === undefined ? '' : text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+  const sections = []
+  Object.entries(report.components).forEach(([component, versions]) => {
+    Object.entries(versions).forEach(([version, languages]) => {
+      Object.entries(languages).forEach(([language, { totals, pages }]) => {
+        const summary = STATUSES.filter((status) => totals[status]).map((status) => `${totals[status]} ${status}`).join(', ')
+        const rows = pages
+          .sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) || a.path.localeCompare(b.path))
+          .map((page) => `<tr class="${page.status}"><td>${page.url ? `<a href="${escape(page.url)}">${escape(page.path)}</a>` : escape(page.path)}</td>` +
+            `<td>${page.status}</td><td>${escape(page.revdate)}</td><td>${escape(page.sourceRevdate)}</td><td>${escape(page.by)}</td></tr>`)
+        sections.push(`<h2>${escape(component)} ${escape(version)} ${escape(language)}</h2>\n<p>${summary}</p>\n` +
+          '<table>\n<tr><th>Page</th><th>Status</th><th>Revdate</th><th>Source revdate</th><th>By</th></tr>\n' +
+          rows.join('\n') + '\n</table>')
+      })
+    })
+  })
+  const totals = STATUSES.map((status) => `${report.totals[status]} ${status}`).join(', ')
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Translation freshness</title>
+<style>
+body { font-family: sans-serif; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.2em 0.5em; text-align: left; }
+tr.outdated td { background: #fde2e1; }
+tr.unknown td, tr.no-source td { background: #fff4d6; }
+</style>
+</head>
+<body>
+<h1>Translation freshness</h1>
+<p>Generated ${escape(report.generated)}, source language ${escape(report.sourceLanguage)}: ${totals}</p>
+${sections.join('\n')}
+</body>
+</html>
+`
+}
+
+module.exports.getFreshness = getFreshness
+module.exports.getSourceHash = getSourceHash
+
+// standalone use: print the source hash to record in a translation
+if (require.main === module) {
+  const files = process.argv.slice(2)
+  if (!files.length) {
+    console.error('Usage: node translation-freshness.js <source-file> [<source-file> ...]')
+    process.exit(2)
+  }
+  files.forEach((file) => console.log(`:page-translation-source-hash: ${getSourceHash(fs.readFileSync(file, 'utf8'))}  ${file}`))
+}
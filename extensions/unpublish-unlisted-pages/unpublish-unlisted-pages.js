@@ -1,5 +1,51 @@
 // Originally sourced from https://docs.antora.org/antora/latest/extend/extension-use-cases/#unpublish-unlisted-pages,
 // licensed under MPL-2.0.
+//
+// Configuration (playbook extension entry):
+//
+//   component: ......... the component(s) to process, required, names or glob patterns, a
+//                        pattern starting with '!' excludes (['*', '!shared'], 'rancher-*')
+//   nav-policy: ........ which navigation lists a page, our modules are split by language:
+//                          combined ... the navigation of the component version, all languages
+//                                       together (default)
+//                          own ........ the navigation of the language of the page
+//                          source ..... the navigation of the source language, a translated
+//                                       page is listed if its source page is
+//   source-language: ... the language (module) of the source pages (default en)
+//   report-only: ....... true to only report the unlisted pages, nothing is unpublished
+//   report: ............ path of the JSON report, relative to the playbook, written if set
+//                        or in report-only mode (default build/unlisted-pages.json)
+//   keep: .............. glob patterns of unlisted pages to keep published, matched against
+//                        the path relative to the pages directory (getting-started/*.adoc),
+//                        or the page ID if the pattern has a ':' (rancher:en:faq/**) or
+//                        an '@' (v2.12@rancher:en:faq/**)
+//   fail-above: ........ fail the build if more pages than this are unlisted
+//   redirect: .......... true to redirect each unpublished page instead of leaving a 404, or
+//                        the list of targets to try in order (default all, in this order):
+//                          ancestor ..... the nearest listed page up the path of the page,
+//                                         a/b/index.adoc, a/b.adoc, a/index.adoc, a.adoc
+//                          latest ....... the same page in the latest version, if listed there,
+//                                         the latest version as vlp.js resolves it, with the
+//                                         channels and latest-channel of its playbook entry
+//                                         (copy vlp.js to ../versions-latest-prerelease/)
+//                          start-page ... the start page of the component version
+//                        the redirects are page aliases, so every redirect facility gets them,
+//                        the aliases of an unpublished page are moved to its target
+//   assets: ............ true to also unpublish the images and attachments of the components
+//                        that no published page (including its partials) or navigation refers
+//                        to anymore, subject to report-only, report and keep like the pages,
+//                        keep patterns match the path relative to the images or attachments
+//                        directory (screenshots/*.png) or the ID (rancher:en:screenshots/**)
+//
+// A page is also kept if it sets the page attribute ':page-unlisted: keep', e.g. a landing
+// page only reached by direct link.
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_REPORT = 'build/unlisted-pages.json'
+const REDIRECT_TARGETS = ['ancestor', 'latest', 'start-page']
+const NAV_POLICIES = ['combined', 'own', 'source']
+
 module.exports.register = function ({ config }) {
   // Retrieve the target component(s) from the extension's configuration.
   // The extension will only run if `component` is defined in the playbook.
@@ -10,23 +56,163 @@ module.exports.register = function ({ config }) {
   if (!Array.isArray(targetComponents)) {
     targetComponents = [targetComponents]
   }
+  const isTargetComponent = getComponentMatcher(targetComponents)
+  const navPolicy = config.navPolicy || 'combined'
+  if (!NAV_POLICIES.includes(navPolicy)) {
+    throw new Error(`unpublish-unlisted-pages: nav-policy must be one of ${NAV_POLICIES.join(', ')}`)
+  }
+  const sourceLanguage = config.sourceLanguage || 'en'
+  const keepPatterns = [].concat(config.keep || []).map((pattern) => ({ pattern, regexp: globToRegExp(pattern) }))
+  const failAbove = config.failAbove
+  if (failAbove !== undefined && !(Number.isInteger(failAbove) && failAbove >= 0)) {
+    throw new Error('unpublish-unlisted-pages: fail-above must be a non-negative integer')
+  }
+  let redirectTargets = []
+  if (config.redirect) {
+    redirectTargets = config.redirect === true ? REDIRECT_TARGETS : [].concat(config.redirect)
+    const unknown = redirectTargets.filter((target) => !REDIRECT_TARGETS.includes(target))
+    if (unknown.length) {
+      throw new Error(`unpublish-unlisted-pages: unknown redirect target(s) ${unknown.join(', ')}, ` +
+        `use ${REDIRECT_TARGETS.join(', ')}`)
+    }
+  }
+  // Only needed to resolve the latest versions
+  const vlp = redirectTargets.includes('latest') && require('../versions-latest-prerelease/vlp.js')
+  const logger = this.getLogger('unpublish-unlisted-pages')
 
-  this.on('navigationBuilt', ({ contentCatalog }) => {
+  this.on('navigationBuilt', ({ playbook, contentCatalog }) => {
+    const report = {
+      generated: new Date().toISOString(),
+      reportOnly: !!config.reportOnly,
+      navPolicy,
+      count: 0,
+      kept: [],
+      components: {},
+      navMismatches: [],
+    }
+    // The listed pages of all versions are collected first, a redirect may target another version
+    const listedPagesByVersion = new Map()
+    const latestVersions = vlp ? getLatestVersions(vlp, playbook, contentCatalog, isTargetComponent) : new Map()
+    const unlisted = []
     contentCatalog.getComponents().forEach(({ versions }) => {
       versions.forEach(({ name: component, version, navigation: nav, url: defaultUrl }) => {
         // Only run for components specified in the playbook configuration.
-        if (!targetComponents.includes(component)) return
+        if (!isTargetComponent(component)) return
         const navEntriesByUrl = getNavEntriesByUrl(nav)
-        const unlistedPages = contentCatalog
-          .findBy({ component, version, family: 'page' })
-          .filter((page) => page.out)
-          .reduce((collector, page) => {
-            if ((page.pub.url in navEntriesByUrl) || page.pub.url === defaultUrl) return collector
-            return collector.concat(page)
-          }, [])
-        if (unlistedPages.length) unlistedPages.forEach((page) => delete page.out)
+        const pages = contentCatalog.findBy({ component, version, family: 'page' }).filter((page) => page.out)
+        // The relative paths of the pages in the navigation of each language
+        const navByLanguage = getNavByLanguage(contentCatalog, component, version, nav)
+        pages.forEach((page) => {
+          const languageNav = navByLanguage.get(page.src.module)
+          if (languageNav && page.pub.url in languageNav.urls) languageNav.relatives.add(page.src.relative)
+        })
+        const mismatches = getNavMismatches(navByLanguage, sourceLanguage)
+        mismatches.forEach((mismatch) => report.navMismatches.push({ component, version, ...mismatch }))
+        // With a language policy, the translations of the start page are start pages too
+        const startPage = pages.find((page) => page.pub.url === defaultUrl)
+        const isListed = (page) => {
+          if (page.pub.url === defaultUrl) return true
+          if (navPolicy === 'combined') return page.pub.url in navEntriesByUrl
+          if (startPage && page.src.relative === startPage.src.relative) return true
+          const language = navPolicy === 'own' ? page.src.module : sourceLanguage
+          const languageNav = navByLanguage.get(language)
+          return !!languageNav && languageNav.relatives.has(page.src.relative)
+        }
+        const listedPages = new Map()
+        listedPagesByVersion.set(`${version}@${component}`, listedPages)
+        pages.forEach((page) => {
+          if (isListed(page)) {
+            listedPages.set(`${page.src.module}:${page.src.relative}`, page)
+            return
+          }
+          const keptBy = getKeptBy(page, keepPatterns)
+          if (keptBy) {
+            report.kept.push({ component, version, path: page.src.relative, url: page.pub.url, keptBy })
+            return
+          }
+          unlisted.push({ page, startUrl: defaultUrl })
+        })
       })
     })
+
+    unlisted.forEach(({ page, startUrl }) => {
+      const { component, version, module: lang, relative } = page.src
+      const versions = report.components[component] || (report.components[component] = {})
+      const langs = versions[version] || (versions[version] = {})
+      const entry = { path: relative, url: page.pub.url }
+      ;(langs[lang] || (langs[lang] = [])).push(entry)
+      report.count++
+      const target = redirectTargets.length &&
+        getRedirectTarget(page, startUrl, redirectTargets, listedPagesByVersion, latestVersions)
+      if (target) entry.redirect = target.pub.url
+      if (config.reportOnly) {
+        logger.info(`would unpublish ${version}@${component}:${lang}:${relative}` +
+          (target ? `, redirect to ${target.pub.url}` : ''))
+        return
+      }
+      delete page.out
+      const id = `${version}@${component}:${lang}:${relative}`
+      if (target) {
+        // Another extension may have registered the ID as an alias already, Antora rejects a second one
+        if (contentCatalog.getById({ component, version, module: lang, family: 'alias', relative })) {
+          logger.warn(`cannot redirect unpublished page ${id}, the ID is already an alias`)
+          return
+        }
+        // The aliases of the page redirect to the target instead, not to the removed page
+        contentCatalog.findBy({ family: 'alias' })
+          .filter((alias) => alias.rel === page)
+          .forEach((alias) => { alias.rel = target })
+        // An alias cannot have the ID of a page, the page is replaced by the alias
+        contentCatalog.removeFile(page)
+        contentCatalog.registerPageAlias(id, target)
+      } else if (redirectTargets.length) {
+        logger.warn(`no redirect target for unpublished page ${id}`)
+      }
+    })
+
+    if (report.navMismatches.length) {
+      const count = report.navMismatches.reduce((sum, { missing, extra }) => sum + missing.length + extra.length, 0)
+      logger.warn(`${count} navigation mismatch(es) between ${sourceLanguage} and the translations, see the report`)
+    }
+    const action = config.reportOnly ? 'would be unpublished' : 'unpublished'
+    logger.info(`${report.count} unlisted page(s) ${action}, ${report.kept.length} kept`)
+    if (config.assets) {
+      const unpublished = new Set(unlisted.map(({ page }) => page))
+      const assets = report.assets = { count: 0, size: 0, kept: [], components: {} }
+      getOrphanedAssets(contentCatalog, isTargetComponent, unpublished, playbook).forEach((asset) => {
+        const { component, version, module: lang, family, relative } = asset.src
+        const keptBy = getKeptBy(asset, keepPatterns)
+        if (keptBy) {
+          assets.kept.push({ component, version, family, path: relative, url: asset.pub.url, keptBy })
+          return
+        }
+        const versions = assets.components[component] || (assets.components[component] = {})
+        const langs = versions[version] || (versions[version] = {})
+        const size = asset.contents ? asset.contents.length : 0
+        ;(langs[lang] || (langs[lang] = [])).push({ family, path: relative, url: asset.pub.url, size })
+        assets.count++
+        assets.size += size
+        if (config.reportOnly) {
+          logger.info(`would unpublish ${family} ${version}@${component}:${lang}:${relative}`)
+        } else {
+          delete asset.out
+        }
+      })
+      logger.info(`${assets.count} orphaned asset(s) (${Math.round(assets.size / 1024)} KiB) ${action}, ` +
+        `${assets.kept.length} kept`)
+    }
+    if (config.report || config.reportOnly) {
+      const file = path.resolve(playbook.dir || '.', config.report || DEFAULT_REPORT)
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true })
+        fs.writeFileSync(file, JSON.stringify(report, null, 2), 'utf8')
+      } catch (err) {
+        logger.warn(`cannot write the unlisted pages report ${file}: ${err.message}`)
+      }
+    }
+    if (failAbove !== undefined && report.count > failAbove) {
+      throw new Error(`${report.count} unlisted page(s), more than the ${failAbove} allowed by fail-above`)
+    }
   })
 }
 
@@ -36,4 +222,195 @@ function getNavEntriesByUrl (items = [], accum = {}) {
     getNavEntriesByUrl(item.items, accum)
   })
   return accum
-}
\ No newline at end of file
+}
+
+// Returns the latest version of each target component, resolved by vlp.js with the channels of
+// its playbook entry, if there is one.
+function getLatestVersions (vlp, playbook, contentCatalog, isTargetComponent) {
+  const extensions = (playbook.antora && playbook.antora.extensions) || []
+  const vlpConfig = extensions.find((extension) => /(^|\/)vlp\.js$/.test(extension.require)) || {}
+  const channels = vlp.normalizeChannels(vlpConfig.channels)
+  const latestChannel = vlpConfig.latestChannel || 'latest'
+  const latestVersions = new Map()
+  contentCatalog.getComponents().forEach(({ name, versions }) => {
+    if (!isTargetComponent(name)) return
+    const latest = vlp.resolveComponentAliases(versions, channels)[latestChannel]
+    if (latest) latestVersions.set(name, latest.version)
+  })
+  return latestVersions
+}
+
+// Returns the published images and attachments of the components that no published page or
+// navigation refers to. Partials are included into the pages, so the converted pages have
+// the references of their partials.
+function getOrphanedAssets (contentCatalog, isTargetComponent, unpublished, playbook) {
+  const sitePath = playbook.site && playbook.site.url
+    ? new URL(playbook.site.url, 'http://localhost').pathname.replace(/\/$/, '')
+    : ''
+  const referenced = new Set()
+  // a relative URL is resolved against the directory of the page in the output, which is the
+  // page URL itself with html_extension_style: indexify
+  const addReference = (url, baseDir) => {
+    if (/^[a-z][a-z0-9+.-]*:|^\/\/|^#/i.test(url)) return // external URL or fragment
+    url = url.split(/[?#]/)[0]
+    if (url.startsWith('/')) {
+      if (sitePath && url.startsWith(sitePath + '/')) url = url.slice(sitePath.length)
+    } else {
+      url = path.posix.join(baseDir, url)
+    }
+    referenced.add(decodeUrl(url))
+  }
+  contentCatalog
+    .getPages((page) => page.out && page.contents && !unpublished.has(page))
+    .forEach((page) => {
+      const html = page.contents.toString()
+      const baseDir = path.posix.join('/', page.out.dirname)
+      for (const match of html.matchAll(/\s(?:src|href|data|poster)=(["'])([^"']+)\1/g)) {
+        addReference(match[2].replace(/&amp;/g, '&'), baseDir)
+      }
+      // srcset="a.png 1x, b.png 2x", a candidate is the URL and an optional descriptor
+      for (const match of html.matchAll(/\ssrcset=(["'])([^"']+)\1/g)) {
+        match[2].split(',').forEach((candidate) => {
+          const url = candidate.trim().split(/\s+/)[0]
+          if (url) addReference(url.replace(/&amp;/g, '&'), baseDir)
+        })
+      }
+    })
+  contentCatalog.getComponents().forEach(({ versions }) => {
+    versions.forEach(({ navigation }) => {
+      Object.keys(getNavEntriesByUrl(navigation)).forEach((url) => addReference(url, '/'))
+    })
+  })
+  return ['image', 'attachment'].flatMap((family) =>
+    contentCatalog
+      .findBy({ family })
+      .filter((asset) => isTargetComponent(asset.src.component) && asset.out)
+      .filter((asset) => !referenced.has(decodeUrl(asset.pub.url)))
+  )
+}
+
+function decodeUrl (url) {
+  try {
+    return decodeURI(url)
+  } catch {
+    return url
+  }
+}
+
+// Returns the listed page to redirect an unlisted page to, trying the targets in order.
+function getRedirectTarget (page, startUrl, targets, listedPagesByVersion, latestVersions) {
+  const { component, version, module, relative } = page.src
+  const listedPages = listedPagesByVersion.get(`${version}@${component}`)
+  for (const target of targets) {
+    if (target === 'ancestor') {
+      const segments = relative.split('/').slice(0, -1)
+      for (; segments.length; segments.pop()) {
+        const dir = segments.join('/')
+        const ancestor = listedPages.get(`${module}:${dir}/index.adoc`) || listedPages.get(`${module}:${dir}.adoc`)
+        if (ancestor) return ancestor
+      }
+    } else if (target === 'latest') {
+      const latestVersion = latestVersions.get(component)
+      if (!latestVersion || latestVersion === version) continue
+      const latestPages = listedPagesByVersion.get(`${latestVersion}@${component}`)
+      const samePage = latestPages && latestPages.get(`${module}:${relative}`)
+      if (samePage) return samePage
+    } else if (target === 'start-page') {
+      const startPage = [...listedPages.values()].find((listed) => listed.pub.url === startUrl)
+      if (startPage) return startPage
+    }
+  }
+}
+
+// Returns a function telling whether a component is processed, the patterns are names or globs,
+// those starting with '!' exclude. Without an including pattern, all components are included.
+function getComponentMatcher (patterns) {
+  const includes = patterns.filter((pattern) => !pattern.startsWith('!')).map(globToRegExp)
+  const excludes = patterns.filter((pattern) => pattern.startsWith('!')).map((pattern) => globToRegExp(pattern.slice(1)))
+  return (component) =>
+    (!includes.length || includes.some((regexp) => regexp.test(component))) &&
+    !excludes.some((regexp) => regexp.test(component))
+}
+
+// Maps each language (module) to the URLs of the navigation files of that language. A navigation
+// tree is ordered by the index of its navigation file, see Antora's navigation builder. The
+// relative paths of the listed pages are added by the caller.
+function getNavByLanguage (contentCatalog, component, version, navigation = []) {
+  const languageByIndex = new Map()
+  contentCatalog.findBy({ component, version, family: 'nav' }).forEach((navFile) => {
+    if (navFile.nav) languageByIndex.set(navFile.nav.index, navFile.src.module)
+  })
+  const navByLanguage = new Map()
+  navigation.forEach((tree) => {
+    const language = languageByIndex.get(Math.floor(tree.order))
+    if (language === undefined) return
+    if (!navByLanguage.has(language)) navByLanguage.set(language, { urls: {}, relatives: new Set() })
+    getNavEntriesByUrl([tree], navByLanguage.get(language).urls)
+  })
+  return navByLanguage
+}
+
+// Compares the navigation of each translation with the one of the source language, by the
+// relative paths of the listed pages.
+function getNavMismatches (navByLanguage, sourceLanguage) {
+  const source = navByLanguage.get(sourceLanguage)
+  if (!source) return []
+  return [...navByLanguage.entries()]
+    .filter(([language]) => language !== sourceLanguage)
+    .map(([language, { relatives }]) => ({
+      language,
+      // listed in the source navigation, not in the one of the translation
+      missing: [...source.relatives].filter((relative) => !relatives.has(relative)).sort(),
+      // listed in the navigation of the translation, not in the source one
+      extra: [...relatives].filter((relative) => !source.relatives.has(relative)).sort(),
+    }))
+    .filter(({ missing, extra }) => missing.length || extra.length)
+}
+
+// Returns what keeps an unlisted page published, the page attribute or a keep pattern, if anything.
+function getKeptBy (page, keepPatterns) {
+  const attributes = (page.asciidoc && page.asciidoc.attributes) || {}
+  if (attributes['page-unlisted'] === 'keep') return ':page-unlisted: keep'
+  const { component, version, module, relative } = page.src
+  const match = keepPatterns.find(({ pattern, regexp }) => {
+    if (pattern.includes('@')) return regexp.test(`${version}@${component}:${module}:${relative}`)
+    if (pattern.includes(':')) return regexp.test(`${component}:${module}:${relative}`)
+    return regexp.test(relative)
+  })
+  return match && match.pattern
+}
+
+// Converts a glob pattern to a regular expression: ** matches across directories, * and ?
+// within a path segment, {a,b} matches either alternative.
+function globToRegExp (pattern) {
+  let source = ''
+  let braces = 0
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*' && pattern[i + 1] === '*') {
+      // **/ also matches no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?'
+        i += 2
+      } else {
+        source += '.*'
+        i++
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '{') {
+      source += '(?:'
+      braces++
+    } else if (char === '}' && braces) {
+      source += ')'
+      braces--
+    } else if (char === ',' && braces) {
+      source += '|'
+    } else {
+      source += char.replace(/[.+^$(){}|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
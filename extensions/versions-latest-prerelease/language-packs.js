@@ -0,0 +1,218 @@
+// The language subsystem of vlp.js: locale packs, fallback chains and the
+// check of the packs against the default language.
+
+// A locale pack is the list of attribute entries of a language in the
+// 'language-data' attribute, for example in global-attributes.yml:
+//
+//   language-data:
+//     - en:
+//         - ':toc-title: Contents'
+//     - pt:
+//         - ':toc-title: Índice'
+//     - pt_br:
+//         - ':toc-title: Sumário'
+//
+// A language falls back to the languages of its fallback chain for the
+// entries its pack does not define. The default chain of a regional language
+// like pt_br is pt_br -> pt -> en, of other languages xx -> en. The
+// 'language-fallbacks' config sets the chain of a language explicitly, as a
+// list of chains, each starting with the language (the default language is
+// always last):
+//
+//   language-fallbacks:
+//     - [pt_br, pt]
+//     - [zh_tw, zh_cn, zh]
+//
+// Antora camelCases the keys of an extension config, so the languages are
+// list items, not keys.
+//
+// The pack of a language is injected as attribute entries into the header of
+// each file of the language, the en pack too. Header entries override the
+// soft set values (value@) of the playbook and antora.yml, so the en pack
+// only has the Asciidoctor defaults.
+
+const path = require("node:path");
+const fs = require("node:fs");
+const yaml = require("js-yaml");
+
+const LANGUAGE_DATA_KEY = "language-data";
+const DEFAULT_LANGUAGE = "en";
+// The attribute file of this repository, used if no language data is loaded
+const BUNDLED_ATTRIBUTES = path.resolve(__dirname, "../../global-attributes.yml");
+// The extension loading a 'language-source' file, as placed in this repository
+const DEFAULT_LOADER = path.resolve(
+  __dirname,
+  "../dynamic-loading-attributes/load-global-site-attributes.js",
+);
+const ATTRIBUTE_ENTRY = /^:([A-Za-z0-9_][\w-]*):(\s.*)?$/;
+
+/**
+ * Gets the language data from the configured source: 'attributes' (the
+ * default) takes it from the AsciiDoc attributes of the site, as loaded by
+ * the load-global-site-attributes extension, a path or URL loads the file
+ * like that extension does, with its cache for URLs.
+ * @param {string|undefined} source - The 'language-source' config value.
+ * @param {object} playbook - The Antora playbook.
+ * @param {object} logger - The Antora logger.
+ * @param {string} [loader] - The 'language-loader' config value, the path of
+ * load-global-site-attributes.js relative to the playbook.
+ * @returns {Promise<Array|undefined>} The language data, undefined for the
+ * 'attributes' source, which is read when the content is classified.
+ * @throws {Error} If the loader is missing or the file cannot be loaded.
+ */
+async function loadLanguageSource(source, playbook, logger, loader) {
+  if (!source || source === "attributes") return undefined;
+  const loaderPath = loader ? path.resolve(playbook.dir || ".", loader) : DEFAULT_LOADER;
+  if (!fs.existsSync(loaderPath)) {
+    throw new Error(
+      `[vlp.js] language-source ${source} needs load-global-site-attributes.js, ` +
+        `not found at ${loaderPath}, set language-loader to its path`,
+    );
+  }
+  const {
+    load_attribute_file: loadAttributeFile,
+    get_load_settings: getLoadSettings,
+  } = require(loaderPath);
+  const file = /^https?:/.test(source) ? source : path.resolve(playbook.dir || ".", source);
+  try {
+    const attributes = await loadAttributeFile(file, getLoadSettings({}, playbook, logger));
+    return attributes[LANGUAGE_DATA_KEY] || [];
+  } catch (err) {
+    // The loader throws strings
+    throw new Error(`[vlp.js] Cannot load the language data from ${file}: ${err.message || err}`);
+  }
+}
+
+/**
+ * Reads the language data of the bundled global-attributes.yml.
+ * @returns {Array} The language data, empty if there is none.
+ */
+function readBundledLanguageData() {
+  const attributes = yaml.load(fs.readFileSync(BUNDLED_ATTRIBUTES, "utf8")) || {};
+  return attributes[LANGUAGE_DATA_KEY] || [];
+}
+
+/**
+ * Builds the locale packs from the language data.
+ * @param {Array} languageData - The list of { <lang>: [<entry>, ...] }.
+ * @param {object} logger - The Antora logger, for entries that are no
+ * attribute entries.
+ * @returns {Map} Language to a Map of attribute name to attribute entry.
+ */
+function buildLocalePacks(languageData, logger) {
+  const packs = new Map();
+  (Array.isArray(languageData) ? languageData : []).forEach((langObj) => {
+    Object.entries(langObj || {}).forEach(([lang, entries]) => {
+      if (!packs.has(lang)) packs.set(lang, new Map());
+      const pack = packs.get(lang);
+      (Array.isArray(entries) ? entries : []).forEach((entry) => {
+        const match = typeof entry === "string" && entry.match(ATTRIBUTE_ENTRY);
+        if (!match) {
+          logger.warn(`Ignoring language-data entry of ${lang}, not an attribute entry: ${entry}`);
+          return;
+        }
+        pack.set(match[1], entry);
+      });
+    });
+  });
+  return packs;
+}
+
+/**
+ * Converts the 'language-fallbacks' config into a map of the languages a
+ * language falls back to.
+ * @param {Array|undefined} chains - The config value, a list of chains.
+ * @returns {object} Language to the list of languages it falls back to.
+ */
+function normalizeLanguageFallbacks(chains) {
+  if (chains === undefined) return {};
+  if (!Array.isArray(chains)) {
+    throw new Error("[vlp.js] 'language-fallbacks' must be a list of language lists");
+  }
+  const fallbacks = {};
+  chains.forEach((chain) => {
+    if (!Array.isArray(chain) || !chain.length || !chain.every((lang) => typeof lang === "string")) {
+      throw new Error(`[vlp.js] Invalid language-fallbacks chain: ${JSON.stringify(chain)}`);
+    }
+    const [lang, ...next] = chain;
+    fallbacks[lang] = next;
+  });
+  return fallbacks;
+}
+
+/**
+ * Gets the fallback chain of a language, the language first and the default
+ * language last.
+ * @param {string} lang - The language.
+ * @param {object} fallbacks - From normalizeLanguageFallbacks.
+ * @param {string} defaultLanguage - The default language.
+ * @returns {Array} The languages of the chain.
+ */
+function getFallbackChain(lang, fallbacks = {}, defaultLanguage = DEFAULT_LANGUAGE) {
+  const chain = [];
+  const visit = (language) => {
+    if (chain.includes(language)) return;
+    chain.push(language);
+    const next = fallbacks[language] !== undefined
+      ? fallbacks[language]
+      : language.includes("_") ? [language.split("_")[0]] : [];
+    next.forEach(visit);
+  };
+  visit(lang);
+  if (!chain.includes(defaultLanguage)) chain.push(defaultLanguage);
+  return chain;
+}
+
+/**
+ * Resolves the attribute entries of a language through its fallback chain.
+ * @param {string} lang - The language.
+ * @param {Map} packs - The locale packs from buildLocalePacks.
+ * @param {object} fallbacks - From normalizeLanguageFallbacks.
+ * @param {string} defaultLanguage - The default language.
+ * @returns {Array} The attribute entries, the first pack of the chain
+ * defining an attribute wins.
+ */
+function resolveLanguageEntries(lang, packs, fallbacks, defaultLanguage) {
+  const resolved = new Map();
+  getFallbackChain(lang, fallbacks, defaultLanguage).forEach((language) => {
+    packs.get(language)?.forEach((entry, name) => {
+      if (!resolved.has(name)) resolved.set(name, entry);
+    });
+  });
+  return [...resolved.values()];
+}
+
+/**
+ * Checks that each locale pack, with its fallback chain up to the default
+ * language, defines every attribute the pack of the default language defines.
+ * @param {Map} packs - The locale packs from buildLocalePacks.
+ * @param {object} fallbacks - From normalizeLanguageFallbacks.
+ * @param {string} defaultLanguage - The default language.
+ * @returns {Array} The incomplete packs as { lang, missing: [<name>, ...] }.
+ */
+function checkLocalePacks(packs, fallbacks, defaultLanguage) {
+  const reference = packs.get(defaultLanguage);
+  if (!reference) return [];
+  return [...packs.keys()]
+    .filter((lang) => lang !== defaultLanguage)
+    .map((lang) => {
+      const chain = getFallbackChain(lang, fallbacks, defaultLanguage)
+        .filter((language) => language !== defaultLanguage);
+      const missing = [...reference.keys()]
+        .filter((name) => !chain.some((language) => packs.get(language)?.has(name)));
+      return { lang, missing };
+    })
+    .filter(({ missing }) => missing.length);
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_DATA_KEY,
+  loadLanguageSource,
+  readBundledLanguageData,
+  buildLocalePacks,
+  normalizeLanguageFallbacks,
+  getFallbackChain,
+  resolveLanguageEntries,
+  checkLocalePacks,
+};
@@ -9,10 +9,175 @@
 // be configured to 'FollowSymlinks'. This extension puts those symlinks in
 // place, in the build directory structure, after the Antora build.
 
-// Additionally, this extension modifies 'xref:' links in AsciiDoc files that
-// point to 'latest' or 'dev' versions to point to the actual latest stable or
-// prerelease version numbers. This ensures that cross-references resolve
-// correctly during the Antora build.
+// Additionally, this extension modifies references in AsciiDoc files (pages,
+// partials, nav) that point to 'latest' or 'dev' versions to point to the
+// actual latest stable or prerelease version numbers: xrefs, <<>> references,
+// include:: targets, :page-aliases: entries and link: URLs into the site. This
+// ensures that cross-references resolve correctly during the Antora build. A
+// reference that cannot be resolved is logged as a warning with file and line.
+
+// The aliases are configurable as 'channels' in the playbook extension config.
+// Without configuration, the channels are 'latest' (the highest stable
+// version) and 'dev' (the highest prerelease version):
+//
+//   - require: ./vlp.js
+//     start-page-channel: latest
+//     channels:
+//       - name: latest
+//         select: stable
+//       - name: dev
+//         select: prerelease
+//       - name: v{major}.{minor}-latest  # one alias per minor version line
+//         select: stable
+//         per: minor
+//       - name: lts
+//         select: pinned
+//         range: ">=2.9"                  # optional semver range filter
+//
+// 'select' is one of 'stable', 'prerelease', 'any' (highest of all versions)
+// or 'pinned' (only set by a pin). 'per' is 'major' or 'minor', the name then
+// needs the {major} (and {minor}) placeholders. A component version pins
+// itself as the target of one or more aliases in its antora.yml, this takes
+// precedence over the selection rule:
+//
+//   asciidoc:
+//     attributes:
+//       vlp-channels: lts, v2.9-latest
+//
+// The channels drive the symlinks, latest_dev.txt, the xref rewriting and
+// the start page rewrite of the root index.html ('start-page-channel').
+
+// How the aliases are served is set with 'alias-output':
+//
+//   symlink ... symlinks in the build directory, for Apache httpd with
+//               'FollowSymlinks' (default)
+//   copy ...... recursive copies of the version directories, with a
+//               .vlp-alias file telling a later build it may replace them
+//   netlify ... 200 rewrites in _redirects (default if the 'build-environment'
+//               attribute is 'netlify')
+//   nginx ..... rewrite rules in .etc/nginx/vlp-aliases.conf, to include in
+//               the server block
+//   apache .... RewriteRule lines in .htaccess
+//
+// The rule files are written next to those of Antora's redirect facility. In
+// _redirects and .htaccess, the rules are kept between marker lines, so the
+// rules of Antora's redirect facility are kept.
+
+// A site-wide versions manifest is published as versions.json at the site
+// root ('versions-file' sets another path relative to the output directory,
+// false disables it). It is meant for the version picker of the UI bundle and
+// for external tooling. Format (schema 1), components and versions in Antora
+// order, URLs relative to the site root:
+//
+//   {
+//     "schema": 1,
+//     "generated": "2026-01-01T00:00:00.000Z",
+//     "components": [
+//       {
+//         "name": "rancher-manager",
+//         "title": "Rancher Manager",
+//         "aliases": { "latest": "v2.12", "dev": "v2.13" },
+//         "versions": [
+//           {
+//             "version": "v2.13",
+//             "displayVersion": "v2.13 (Dev)",
+//             "title": "Rancher Manager",
+//             "prerelease": true,
+//             "aliases": ["dev"],
+//             "url": "/rancher-manager/v2.13/en/introduction.html",
+//             "languages": ["en", "zh"]
+//           }
+//         ]
+//       }
+//     ]
+//   }
+//
+// 'languages' are the modules holding published pages, as our modules are
+// split by language.
+
+// Each page gets attributes about the equivalent page in the latest stable
+// version (the 'latest-channel' alias, default 'latest'), for a "newer version
+// available" banner and a version switcher that keeps the page:
+//
+//   :page-is-latest: ....... true if the page is in the latest version, else false
+//   :page-latest-version: .. the version of the latest channel
+//   :page-latest-url: ...... the URL of the equivalent page in the latest
+//                            version, unset if there is none
+//
+// The equivalent page has the same module and relative path, or lists the
+// page in its :page-aliases:. The attributes are set once the navigation is
+// built, after unpublish-unlisted-pages has unpublished the unlisted pages,
+// whatever the order of the extensions in the playbook, so :page-latest-url:
+// only points at a published page. They are page attributes for the UI, they
+// cannot be referenced in the page.
+
+// When site.url is an absolute URL, every page gets a canonical link pointing
+// at its published equivalent page in the latest version, or at itself if
+// there is none ('canonical: false' disables it). The <link rel="canonical">
+// of the UI is replaced, or added if the UI has none.
+//
+// The sitemaps of Antora are replaced by a sitemap per component
+// (sitemap-<component>.xml) and a sitemap index (sitemap.xml), listing only
+// canonical URLs ('sitemap: false' keeps those of Antora). The <lastmod> of a
+// page is its :revdate:, as maintained by update_revdate.sh. Pages of
+// prerelease versions (dev) and unlisted pages, i.e. unpublished or not in the
+// navigation, are left out.
+
+// Every AsciiDoc file gets :page-lang_<lang>: true, the language being its
+// module, and the attribute entries of the locale pack of the language, like
+// the admonition captions, toc-title or last-update-label. A pack falls back
+// to other languages for the entries it lacks, see language-packs.js. Config:
+//
+//   language-source: .... where the 'language-data' packs come from:
+//                         'attributes' (default) the AsciiDoc attributes of
+//                         the site, as loaded by load-global-site-attributes,
+//                         or a file (relative to the playbook) or URL, loaded
+//                         like that extension does; without language data,
+//                         the bundled global-attributes.yml is used
+//   language-loader: .... the path of load-global-site-attributes.js for a
+//                         file or URL source, relative to the playbook
+//                         (default: the one in ../dynamic-loading-attributes/,
+//                         as laid out in this repository)
+//   language-fallbacks: . the fallback chains, like [[pt_br, pt]]
+//   default-language: ... the last language of each chain (default en)
+//
+// A pack that does not define every entry of the default language pack, not
+// even through its chain, is logged as a warning. The en pack is injected too,
+// its entries override soft set values (value@) of the playbook and
+// antora.yml like any header entry. Copy language-packs.js next to vlp.js.
+
+// Each page gets the URLs of its translations, the pages with the same
+// relative path in the other language modules of the component version, for
+// <link rel="alternate" hreflang> tags and a language switcher:
+//
+//   :page-translation-languages: ... the languages of the page, like en, zh
+//   :page-translation-url_<lang>: .. the URL of the page in <lang>
+//
+// Like the latest version attributes, they are set once the navigation is
+// built and only list published pages. A page whose :page-languages: lists a
+// language without such a page, or leaves out one with a page, is logged as a
+// warning. The same translations are also published as translations.json at
+// the site root ('translations-file' sets another path, false disables it):
+//
+//   {
+//     "schema": 1,
+//     "generated": "2026-01-01T00:00:00.000Z",
+//     "components": {
+//       "rancher-manager": {
+//         "v2.12": {
+//           "introduction.adoc": {
+//             "en": "/rancher-manager/v2.12/en/introduction.html",
+//             "zh": "/rancher-manager/v2.12/zh/introduction.html"
+//           }
+//         }
+//       }
+//     }
+//   }
+
+// The state of the extension is kept per generator run, so the generator can
+// run repeatedly in one process, as in a preview server rebuilding the site on
+// file changes: each run resolves the aliases anew and replaces the symlinks
+// or copies of the previous run.
 
 // Docs for the standard mechanism:
 // https://docs.antora.org/antora/latest/playbook/configure-urls/
@@ -23,22 +188,77 @@
 const semver = require("semver");
 const path = require("node:path");
 const fs = require("node:fs");
-const yaml = require('js-yaml');
+const {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_DATA_KEY,
+  loadLanguageSource,
+  readBundledLanguageData,
+  buildLocalePacks,
+  normalizeLanguageFallbacks,
+  resolveLanguageEntries,
+  checkLocalePacks,
+} = require("./language-packs.js");
 
 // Enable debug output if VLP_DEBUG environment variable is set
 const debug = process.env.VLP_DEBUG === "true";
 
-// Output directory and version info for symlink/file creation
-let outputDir = null;
-const componentVersions = [];
-let startPageVersionStr = null;
-let startPageComponentName = null;
-
-
 // Symlink and file names used for version pointers
 const LATEST_SYMLINK = "latest";
 const DEV_SYMLINK = "dev";
 const LATEST_DEV_FILE = "latest_dev.txt";
+const VERSIONS_FILE = "versions.json";
+const VERSIONS_SCHEMA = 1;
+
+// Default alias channels, the original fixed 'latest' and 'dev' aliases
+const DEFAULT_CHANNELS = [
+  { name: LATEST_SYMLINK, select: "stable" },
+  { name: DEV_SYMLINK, select: "prerelease" },
+];
+const CHANNEL_SELECTS = ["stable", "prerelease", "any", "pinned"];
+const CHANNEL_PER = ["major", "minor"];
+// antora.yml attribute pinning a component version as an alias target
+const PIN_ATTRIBUTE = "vlp-channels";
+
+// Ways of serving the aliases, the rule based ones write no directories
+const ALIAS_OUTPUTS = ["symlink", "copy", "netlify", "nginx", "apache"];
+const RULE_ALIAS_OUTPUTS = ["netlify", "nginx", "apache"];
+const RULES_BEGIN_MARKER = "# BEGIN vlp.js aliases";
+const RULES_END_MARKER = "# END vlp.js aliases";
+// Marks a directory as an alias copy, that the next build may replace
+const ALIAS_COPY_MARKER = ".vlp-alias";
+
+const SITEMAP_INDEX_FILE = "sitemap.xml";
+const TRANSLATIONS_FILE = "translations.json";
+const TRANSLATIONS_SCHEMA = 1;
+const SITEMAP_NS = "http://www.sitemaps.org/schemas/sitemap/0.9";
+
+/**
+ * Creates the state of a generator run. The state is created anew when the
+ * playbook is built, so that several runs in one process, as in a preview
+ * server rebuilding on file changes, do not share versions or aliases.
+ * @returns {object} The empty run state.
+ */
+function createRunState() {
+  return {
+    // Output directory and version info for symlink/file creation
+    outputDir: null,
+    componentVersions: [],
+    startPageVersionStr: null,
+    startPageComponentName: null,
+    // URL path (without trailing slash) and host of the site, for link: rewriting
+    sitePath: "",
+    siteHost: null,
+    // Absolute URL of the site (without trailing slash), null if there is none
+    siteUrl: null,
+    aliasOutput: null,
+    // The equivalent pages in the latest versions, from buildLatestPageMap
+    latestPages: new Map(),
+    // The translations of the published pages, from buildTranslationMap
+    translations: new Map(),
+    // The language data loaded from 'language-source', if it is a file or URL
+    languageData: undefined,
+  };
+}
 
 // Utility: Get component output directory
 function getComponentDir(outputDir, componentName) {
@@ -67,30 +287,284 @@ function dprint(...args) {
 
 /*
  * Creates a symlink at symlinkPath pointing to targetPath, avoiding
- * directories. If symlinkPath exists and is not a directory, it is replaced.
+ * directories. If symlinkPath exists and is not a directory, it is replaced,
+ * a directory only if it is a copy made by a previous run.
  * @param {string} targetPath - The target path for the symlink. @param
  * {string} symlinkPath - The path where the symlink will be created.
  */
 
-function createSymlinkOrCopy(targetPath, symlinkOrCopyPath, buildEnvironment) {
-  if (fs.existsSync(symlinkOrCopyPath)) {
-    if (fs.lstatSync(symlinkOrCopyPath).isDirectory()) {
-      // If it's a directory, do not touch it
-      dprint("Not writing", symlinkOrCopyPath, "because it is a directory");
-      return;
+function createSymlinkOrCopy(targetPath, symlinkOrCopyPath, output) {
+  // lstat, as a symlink left by a previous run may point to nothing now
+  const stat = fs.lstatSync(symlinkOrCopyPath, { throwIfNoEntry: false });
+  if (stat) {
+    if (stat.isDirectory()) {
+      if (!fs.existsSync(path.join(symlinkOrCopyPath, ALIAS_COPY_MARKER))) {
+        // If it's a directory the extension did not create, do not touch it
+        dprint("Not writing", symlinkOrCopyPath, "because it is a directory");
+        return;
+      }
+      fs.rmSync(symlinkOrCopyPath, { recursive: true });
+    } else {
+      fs.unlinkSync(symlinkOrCopyPath);
     }
-    fs.unlinkSync(symlinkOrCopyPath);
   }
-  if (buildEnvironment === "netlify") {
-    dprint("Build environment is Netlify, performing recursive copy.");
+  if (output === "copy") {
+    dprint("Alias output is copy, performing recursive copy.");
     const srcPath = path.resolve(path.dirname(symlinkOrCopyPath), targetPath);
     fs.cpSync(srcPath, symlinkOrCopyPath, { recursive: true });
+    fs.writeFileSync(path.join(symlinkOrCopyPath, ALIAS_COPY_MARKER), `${targetPath}\n`, "utf8");
     return;
   }
   dprint("Standard build environment, creating symlink.");
   fs.symlinkSync(targetPath, symlinkOrCopyPath);
 }
 
+/**
+ * Picks the alias output, the configured one or the default for the build
+ * environment.
+ * @param {string|undefined} configured - The 'alias-output' config value.
+ * @param {string|undefined} buildEnvironment - The 'build-environment'
+ * attribute.
+ * @returns {string} One of ALIAS_OUTPUTS.
+ */
+function resolveAliasOutput(configured, buildEnvironment) {
+  if (configured) return configured;
+  return buildEnvironment === "netlify" ? "netlify" : "symlink";
+}
+
+/**
+ * Builds the alias rules in the syntax of the web server.
+ * @param {string} output - One of RULE_ALIAS_OUTPUTS.
+ * @param {string} sitePath - The URL path of the site, without trailing
+ * slash.
+ * @param {Array} rules - The rules as { from, to } paths relative to the
+ * site, without leading or trailing slash.
+ * @returns {string} The rule lines.
+ */
+function buildAliasRules(output, sitePath, rules) {
+  const lines = rules.flatMap(({ from, to }) => {
+    if (output === "netlify") {
+      return [
+        `${sitePath}/${from} ${sitePath}/${to}/ 200`,
+        `${sitePath}/${from}/* ${sitePath}/${to}/:splat 200`,
+      ];
+    }
+    if (output === "nginx") {
+      return [
+        `rewrite ^${escapeRegExp(`${sitePath}/${from}`)}(/.*)?$ ${sitePath}/${to}$1 last;`,
+      ];
+    }
+    // .htaccess patterns are relative to the site root directory
+    return [`RewriteRule ^${escapeRegExp(from)}(/.*)?$ ${sitePath}/${to}$1 [L]`];
+  });
+  if (output === "apache") lines.unshift("RewriteEngine On");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes the alias rules into a file, replacing the rules of a previous run
+ * between the marker lines and keeping the other content.
+ * @param {string} filePath - The rule file.
+ * @param {string} rules - The rule lines.
+ * @param {boolean} ownsFile - Replace the whole file.
+ */
+function writeAliasRules(filePath, rules, ownsFile) {
+  const block = `${RULES_BEGIN_MARKER}\n${rules}${RULES_END_MARKER}\n`;
+  let content = "";
+  if (!ownsFile && fs.existsSync(filePath)) {
+    content = fs.readFileSync(filePath, "utf8");
+    const begin = content.indexOf(RULES_BEGIN_MARKER);
+    const end = content.indexOf(RULES_END_MARKER);
+    if (begin !== -1 && end > begin) {
+      content =
+        content.slice(0, begin) +
+        content.slice(end + RULES_END_MARKER.length).replace(/^\n/, "");
+    }
+    if (content && !content.endsWith("\n")) content += "\n";
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content + block, "utf8");
+}
+
+/**
+ * Gets the path of the rule file of a rule based alias output.
+ * @param {string} outputDir - The site output directory.
+ * @param {string} output - One of RULE_ALIAS_OUTPUTS.
+ * @returns {string} The file path.
+ */
+function getAliasRulesPath(outputDir, output) {
+  if (output === "netlify") return path.join(outputDir, "_redirects");
+  if (output === "nginx") {
+    return path.join(outputDir, ".etc", "nginx", "vlp-aliases.conf");
+  }
+  return path.join(outputDir, ".htaccess");
+}
+
+/**
+ * Validates the channels from the extension config and applies defaults.
+ * @param {Array|undefined} configChannels - The 'channels' config value.
+ * @returns {Array} The channels as { name, select, per, range }.
+ * @throws {Error} If a channel is not usable.
+ */
+function normalizeChannels(configChannels) {
+  if (configChannels === undefined) return DEFAULT_CHANNELS;
+  if (!Array.isArray(configChannels) || !configChannels.length) {
+    throw new Error("[vlp.js] 'channels' must be a non-empty list");
+  }
+  const names = new Set();
+  return configChannels.map((channel) => {
+    const { name, select = "stable", per, range } = channel || {};
+    if (typeof name !== "string" || !/^[\w.{}-]+$/.test(name)) {
+      throw new Error(`[vlp.js] invalid channel name: ${JSON.stringify(name)}`);
+    }
+    if (names.has(name)) {
+      throw new Error(`[vlp.js] duplicate channel: ${name}`);
+    }
+    names.add(name);
+    if (!CHANNEL_SELECTS.includes(select)) {
+      throw new Error(
+        `[vlp.js] channel ${name}: select must be one of ${CHANNEL_SELECTS.join(", ")}`,
+      );
+    }
+    if (per !== undefined) {
+      if (!CHANNEL_PER.includes(per)) {
+        throw new Error(`[vlp.js] channel ${name}: per must be major or minor`);
+      }
+      if (!name.includes("{major}") || (per === "minor" && !name.includes("{minor}"))) {
+        throw new Error(
+          `[vlp.js] channel ${name}: a per-${per} channel needs the version placeholders in its name`,
+        );
+      }
+    } else if (/[{}]/.test(name)) {
+      throw new Error(`[vlp.js] channel ${name}: placeholders need 'per'`);
+    }
+    if (range !== undefined && !semver.validRange(String(range))) {
+      throw new Error(`[vlp.js] channel ${name}: invalid range ${range}`);
+    }
+    return { name, select, per, range: range === undefined ? undefined : String(range) };
+  });
+}
+
+/**
+ * Reads the aliases a component version pins itself to from its antora.yml.
+ * @param {object} componentVersion - The component version from Antora.
+ * @returns {Array} The pinned alias names.
+ */
+function getPinnedAliases(componentVersion) {
+  const value = componentVersion.asciidoc?.attributes?.[PIN_ATTRIBUTE];
+  if (typeof value !== "string") return [];
+  return value.split(",").map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Resolves the alias names and target versions of a component.
+ * @param {Array} channels - The normalized channels.
+ * @param {Array} parsedVersions - The component versions, sorted latest
+ * first, as { version, semver, prerelease, pins }, prerelease as from
+ * isPrerelease.
+ * @returns {object} Alias name to version object, in channel order.
+ */
+function resolveAliases(channels, parsedVersions) {
+  const aliases = {};
+  channels.forEach((channel) => {
+    const candidates = parsedVersions.filter((v) => {
+      if (channel.range && !semver.satisfies(v.semver, channel.range)) return false;
+      if (channel.select === "stable") return !v.prerelease;
+      if (channel.select === "prerelease") return v.prerelease;
+      return channel.select === "any";
+    });
+    // The highest candidate of each version line, or overall
+    candidates.forEach((v) => {
+      const aliasName = expandChannelName(channel, v.semver);
+      if (!(aliasName in aliases)) aliases[aliasName] = v;
+    });
+    // Pins win over the selection rule, the highest pinning version first
+    parsedVersions.forEach((v) => {
+      v.pins.forEach((pin) => {
+        const matches = channel.per
+          ? pin === expandChannelName(channel, v.semver)
+          : pin === channel.name;
+        if (matches && aliases[pin]?.pinned !== true) {
+          aliases[pin] = { ...v, pinned: true };
+        }
+      });
+    });
+  });
+  // A version name is never used as an alias
+  parsedVersions.forEach((v) => delete aliases[v.version]);
+  return aliases;
+}
+
+/**
+ * Parses the versions of a component for resolveAliases.
+ * @param {Array} versions - The component versions from Antora.
+ * @returns {Array} The versions with a semver version, sorted latest first,
+ * as { version, semver, prerelease, pins }.
+ */
+function parseVersions(versions) {
+  return versions
+    .map((v) => ({
+      version: v.version,
+      semver: semver.coerce(v.version),
+      prerelease: isPrerelease(v),
+      pins: getPinnedAliases(v),
+    }))
+    .filter((v) => v.semver)
+    .sort((a, b) => semver.rcompare(a.semver, b.semver));
+}
+
+/**
+ * Resolves the alias names and target versions of a component like the
+ * build does, for extensions that need to know the actual latest version.
+ * @param {Array} versions - The component versions from Antora.
+ * @param {Array} [channels] - The normalized channels, see normalizeChannels.
+ * @returns {object} Alias name to version object, see resolveAliases.
+ */
+function resolveComponentAliases(versions, channels = DEFAULT_CHANNELS) {
+  return resolveAliases(channels, parseVersions(versions));
+}
+
+/**
+ * Tells if a component version is a prerelease. In antora.yml, prerelease is
+ * true, a prerelease label or false, the key may also be missing.
+ * @param {object} componentVersion - The component version from Antora.
+ * @returns {boolean} True if it is a prerelease.
+ */
+function isPrerelease(componentVersion) {
+  return Boolean(componentVersion.prerelease);
+}
+
+/**
+ * Expands the {major} and {minor} placeholders of a channel name.
+ * @param {object} channel - The normalized channel.
+ * @param {object} version - The semver object of the version.
+ * @returns {string} The alias name.
+ */
+function expandChannelName(channel, version) {
+  return channel.name
+    .replace(/\{major\}/g, String(version.major))
+    .replace(/\{minor\}/g, String(version.minor));
+}
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Gets the 1-based line number of an offset in a text.
+ * @param {string} text - The text.
+ * @param {number} offset - The offset in the text.
+ * @returns {number} The line number.
+ */
+function getLineNumber(text, offset) {
+  return text.slice(0, offset).split("\n").length;
+}
+
 /**
  * Checks if the target path is safe (not outside base and not absolute).
  * @param {string} base - The base directory.
@@ -103,109 +577,488 @@ function isSafePath(base, target) {
 }
 
 /**
- * Rewrites xref links in AsciiDoc text to point to actual latest/dev versions.
+ * Rewrites references to aliases (channels) in AsciiDoc text to point to the
+ * actual versions. Handled are xrefs (also in nav files), <<>> references,
+ * include:: targets, :page-aliases: entries and link: URLs into the site
+ * with an alias path segment (/component/alias/).
  * @param {string} fileText - The file contents as text.
- * @param {object} file - The file object from Antora content catalog.
+ * @param {object} file - The file object from the Antora content aggregate.
  * @param {Array} componentVersions - Array of component version info.
+ * @param {object} options - { aliasNames, sitePath, siteHost, logger,
+ * componentName }.
  * @returns {string} The modified file text.
  */
-function modifyXrefsInText(fileText, file, componentVersions) {
-  const regex = new RegExp(
-    `xref:(${LATEST_SYMLINK}|${DEV_SYMLINK})@([^:]+):([^[]+)`,
-    "g",
-  );
-  let xrefsModified = 0;
-  const newFileText = fileText.replace(
-    regex,
-    (originalXref, versionType, targetComponent, targetFile) => {
-      dprint(
-        `[XREF REGEX MATCH] Full match: '${originalXref}' | ` +
-          `Group 1 (version): '${versionType}' | ` +
-          `Group 2 (component): '${targetComponent}' | ` +
-          `Group 3 (file): '${targetFile}' | ` +
-          `File: ${file.src?.path}`,
-      );
+function modifyReferencesInText(fileText, file, componentVersions, options) {
+  const { aliasNames, sitePath, siteHost, logger, componentName } = options;
+  if (!aliasNames.size) return fileText;
+  // Longest first, so that 'v2.12-latest' is not matched as 'v2.1'
+  const aliasPattern = [...aliasNames]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+  let referencesModified = 0;
+
+  // Looks up the version of an alias, warns with file and line if there is none
+  const resolve = (form, aliasName, targetComponent, line, warnUnknown) => {
+    const compEntry = componentVersions.find(
+      (e) => e.componentName === targetComponent,
+    );
+    const actualVersion = compEntry?.aliases[aliasName]?.version;
+    if (actualVersion) {
       dprint(
-        `[MODIFIABLE XREF FOUND] Version: ${versionType}, Target Component: ` +
-          `${targetComponent}, Target File: ${targetFile}, ` +
-          `File: ${file.src?.path}`,
+        `[${form.toUpperCase()} MODIFIED] ${aliasName}@${targetComponent} -> ` +
+          `${actualVersion} in ${file.src?.path}`,
       );
-      // Look up the correct version from componentVersions
-      const compEntry = componentVersions.find(
-        (e) => e.componentName === targetComponent,
+      referencesModified++;
+      return actualVersion;
+    }
+    if (compEntry || warnUnknown) {
+      const reason = compEntry
+        ? `component ${targetComponent} has no version for ${aliasName}`
+        : `unknown component ${targetComponent}`;
+      logger.warn(
+        {
+          file: { path: file.src?.abspath || file.src?.path, line },
+          source: file.src?.origin,
+        },
+        `Cannot resolve ${form} ${aliasName}@${targetComponent}: ${reason}`,
       );
-      let actualVersion = null;
-      if (compEntry) {
-        if (versionType === LATEST_SYMLINK && compEntry.latestStableObj) {
-          actualVersion = compEntry.latestStableObj.version;
-        } else if (
-          versionType === DEV_SYMLINK &&
-          compEntry.latestPrereleaseObj
-        ) {
-          actualVersion = compEntry.latestPrereleaseObj.version;
-        }
-      }
-      if (actualVersion) {
-        const newXref =
-          `xref:${actualVersion}` + `@${targetComponent}:${targetFile}`;
-        dprint(`[XREF MODIFIED] ${newXref}`);
-        // Find the line containing the original xref
-        const lines = fileText.split(/\r?\n/);
-        const modifiedLine = lines.find((line) => line.includes(originalXref));
-        if (modifiedLine) {
-          dprint(`[MODIFIED LINE] ${modifiedLine}`);
-        }
-        xrefsModified++;
-        return newXref;
-      } else {
-        dprint(
-          `[XREF MODIFIED] No replacement version found for ${versionType} ` +
-            `in component ${targetComponent}`,
-        );
-        return originalXref;
-      }
+    }
+    return null;
+  };
+
+  // xref:, <<>> and include:: targets: <prefix><alias>@<component>:
+  const resourceRegex = new RegExp(
+    `(xref:|<<|include::)(${aliasPattern})@([\\w.-]+):`,
+    "g",
+  );
+  let newFileText = fileText.replace(
+    resourceRegex,
+    (original, prefix, aliasName, targetComponent, offset, text) => {
+      const form = prefix === "<<" ? "<<>>" : prefix.replace(/:+$/, "");
+      const line = getLineNumber(text, offset);
+      const actualVersion = resolve(form, aliasName, targetComponent, line, true);
+      return actualVersion
+        ? `${prefix}${actualVersion}@${targetComponent}:`
+        : original;
     },
   );
-  // Print summary if any xrefs were modified
-  if (xrefsModified > 0) {
-    const compName = file.component?.name || file.src?.component || "unknown";
-    console.log(
-      `${debugLabel} Modified ${xrefsModified} xref(s) in file: ` +
+
+  // :page-aliases: entries, a comma separated list of resource IDs
+  newFileText = newFileText.replace(
+    /^:page-aliases:.*$/gm,
+    (line, lineOffset, text) =>
+      line.replace(
+        new RegExp(`([:\\s,])(${aliasPattern})@([\\w.-]+):`, "g"),
+        (original, separator, aliasName, targetComponent) => {
+          const actualVersion = resolve(
+            "page-aliases",
+            aliasName,
+            targetComponent,
+            getLineNumber(text, lineOffset),
+            true,
+          );
+          return actualVersion
+            ? `${separator}${actualVersion}@${targetComponent}:`
+            : original;
+        },
+      ),
+  );
+
+  // link: URLs into this site, absolute or root relative
+  const hostPattern = siteHost ? `(?:https?://${escapeRegExp(siteHost)})?` : "";
+  const linkRegex = new RegExp(
+    `(link:${hostPattern}${escapeRegExp(sitePath)}/)([\\w.-]+)/(${aliasPattern})(?=[/#\\[])`,
+    "g",
+  );
+  newFileText = newFileText.replace(
+    linkRegex,
+    (original, prefix, targetComponent, aliasName, offset, text) => {
+      // Only links to known components, other paths may not be Antora content
+      const line = getLineNumber(text, offset);
+      const actualVersion = resolve("link", aliasName, targetComponent, line, false);
+      return actualVersion
+        ? `${prefix}${targetComponent}/${actualVersion}`
+        : original;
+    },
+  );
+
+  // Log a summary if any references were modified
+  if (referencesModified > 0) {
+    const compName = componentName || file.src?.component || "unknown";
+    logger.info(
+      `Modified ${referencesModified} reference(s) in file: ` +
       `${file.src?.path} (component: ${compName})`,
     );
   }
   return newFileText;
 }
 
+/**
+ * Builds the site-wide versions manifest (see the format at the top).
+ * @param {object} contentCatalog - The Antora content catalog.
+ * @param {Array} componentVersions - Array of component version info.
+ * @returns {object} The manifest.
+ */
+function buildVersionsManifest(contentCatalog, componentVersions) {
+  const components = contentCatalog
+    .getComponents()
+    .filter((component) => component.name !== "shared")
+    .map((component) => {
+      const aliases = Object.fromEntries(
+        Object.entries(
+          componentVersions.find((e) => e.componentName === component.name)
+            ?.aliases || {},
+        ).map(([aliasName, versionObj]) => [aliasName, versionObj.version]),
+      );
+      const versions = component.versions.map((v) => {
+        const languages = new Set(
+          contentCatalog
+            .findBy({ component: component.name, version: v.version, family: "page" })
+            .filter((page) => page.out)
+            .map((page) => page.src.module),
+        );
+        return {
+          version: v.version,
+          displayVersion: v.displayVersion || v.version,
+          title: v.title,
+          prerelease: isPrerelease(v),
+          aliases: Object.keys(aliases).filter((a) => aliases[a] === v.version),
+          url: v.url,
+          languages: [...languages].sort(),
+        };
+      });
+      return { name: component.name, title: component.title, aliases, versions };
+    });
+  return {
+    schema: VERSIONS_SCHEMA,
+    generated: new Date().toISOString(),
+    components,
+  };
+}
+
+/**
+ * Maps the pages of each component to their equivalent page in the version of
+ * the latest channel, by module and relative path, including the page aliases
+ * registered for the pages of that version.
+ * @param {object} contentCatalog - The Antora content catalog.
+ * @param {Array} componentVersions - Array of component version info.
+ * @param {string} latestChannel - The alias name of the latest version.
+ * @returns {Map} Component name to { version, urls: Map of
+ * 'module:relative' to URL }.
+ */
+function buildLatestPageMap(contentCatalog, componentVersions, latestChannel) {
+  const latestPages = new Map();
+  componentVersions.forEach(({ componentName, aliases }) => {
+    const latestVersion = aliases[latestChannel]?.version;
+    if (!latestVersion) return;
+    const urls = new Map();
+    contentCatalog
+      .findBy({ component: componentName, version: latestVersion, family: "page" })
+      .filter((page) => page.out)
+      .forEach((page) => {
+        urls.set(`${page.src.module}:${page.src.relative}`, page.pub.url);
+      });
+    // Aliases from any version pointing to a page of the latest version,
+    // an actual page takes precedence
+    contentCatalog
+      .findBy({ component: componentName, family: "alias" })
+      .filter((alias) => alias.rel?.src.version === latestVersion && alias.rel.out)
+      .forEach((alias) => {
+        const key = `${alias.src.module}:${alias.src.relative}`;
+        if (!urls.has(key)) urls.set(key, alias.rel.pub.url);
+      });
+    latestPages.set(componentName, { version: latestVersion, urls });
+  });
+  return latestPages;
+}
+
+/**
+ * Builds the latest version attributes of a page.
+ * @param {object} page - The page from the Antora content catalog.
+ * @param {Map} latestPages - The map from buildLatestPageMap.
+ * @returns {object} The attributes, empty if the component has no latest
+ * version.
+ */
+function getLatestPageAttributes(page, latestPages) {
+  const latest = latestPages.get(page.src.component);
+  if (!latest) return {};
+  const attributes = {
+    "page-is-latest": String(page.src.version === latest.version),
+    "page-latest-version": latest.version,
+  };
+  const latestUrl = latest.urls.get(`${page.src.module}:${page.src.relative}`);
+  if (latestUrl) attributes["page-latest-url"] = latestUrl;
+  return attributes;
+}
+
+/**
+ * Gets the canonical URL of a page, the URL of its equivalent page in the
+ * latest version, or its own URL if there is none.
+ * @param {object} page - The page from the Antora content catalog.
+ * @param {Map} latestPages - The map from buildLatestPageMap.
+ * @returns {string} The URL, relative to the site root.
+ */
+function getCanonicalUrl(page, latestPages) {
+  const latest = latestPages.get(page.src.component);
+  return latest?.urls.get(`${page.src.module}:${page.src.relative}`) || page.pub.url;
+}
+
+/**
+ * Sets the canonical link in the head of an HTML page, replacing the one of
+ * the UI.
+ * @param {string} html - The HTML of the page.
+ * @param {string} href - The canonical URL.
+ * @returns {string} The modified HTML, unchanged if it has no head.
+ */
+function setCanonicalLink(html, href) {
+  const link = `<link rel="canonical" href="${escapeXml(href)}">`;
+  const existing = /<link\s[^>]*rel=["']?canonical["']?[^>]*>/i;
+  if (existing.test(html)) return html.replace(existing, () => link);
+  return html.replace(/<\/head>/i, (end) => `${link}\n${end}`);
+}
+
+/**
+ * Escapes text for use in XML (and HTML attribute values).
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Collects the URLs of the navigation entries of a component version.
+ * @param {Array} items - The navigation items.
+ * @param {Set} urls - The collected URLs.
+ * @returns {Set} The collected URLs.
+ */
+function getNavUrls(items = [], urls = new Set()) {
+  items.forEach((item) => {
+    if (item.urlType === "internal") urls.add(item.url.split("#")[0]);
+    getNavUrls(item.items, urls);
+  });
+  return urls;
+}
+
+/**
+ * Builds the sitemap of each component and the sitemap index. A sitemap lists
+ * the canonical URLs of the listed pages of stable versions, with the
+ * :revdate: of the page as last modification date.
+ * @param {object} contentCatalog - The Antora content catalog.
+ * @param {Map} latestPages - The map from buildLatestPageMap.
+ * @param {string} siteUrl - The absolute URL of the site.
+ * @returns {Array} The sitemap files as { path, contents }, index last.
+ */
+function buildSitemaps(contentCatalog, latestPages, siteUrl) {
+  const sitemaps = [];
+  contentCatalog.getComponents().forEach(({ name: componentName, versions }) => {
+    if (componentName === "shared") return;
+    const entries = new Map();
+    versions
+      .filter((componentVersion) => !isPrerelease(componentVersion))
+      .forEach(({ version, navigation, url: startUrl }) => {
+        const listedUrls = getNavUrls(navigation).add(startUrl);
+        contentCatalog
+          .findBy({ component: componentName, version, family: "page" })
+          .filter((page) => page.out && listedUrls.has(page.pub.url))
+          .filter((page) => getCanonicalUrl(page, latestPages) === page.pub.url)
+          .forEach((page) => {
+            const revdate = String(page.asciidoc?.attributes?.revdate || "");
+            const lastmod = revdate.match(/^\d{4}-\d{2}-\d{2}/)?.[0];
+            entries.set(page.pub.url, lastmod);
+          });
+      });
+    const urls = [...entries.keys()].sort().map((url) => {
+      const lastmod = entries.get(url);
+      return (
+        `<url>\n<loc>${escapeXml(siteUrl + url)}</loc>\n` +
+        (lastmod ? `<lastmod>${lastmod}</lastmod>\n` : "") +
+        "</url>"
+      );
+    });
+    sitemaps.push({
+      path: `sitemap-${componentName}.xml`,
+      contents:
+        `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="${SITEMAP_NS}">\n` +
+        urls.map((url) => `${url}\n`).join("") +
+        "</urlset>\n",
+    });
+  });
+  sitemaps.push({
+    path: SITEMAP_INDEX_FILE,
+    contents:
+      `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="${SITEMAP_NS}">\n` +
+      sitemaps
+        .map(({ path: sitemapPath }) => `<sitemap>\n<loc>${escapeXml(`${siteUrl}/${sitemapPath}`)}</loc>\n</sitemap>\n`)
+        .join("") +
+      "</sitemapindex>\n",
+  });
+  return sitemaps;
+}
+
+/**
+ * Maps the pages of each component version to their translations, the pages
+ * with the same relative path in the language modules.
+ * @param {Array} pages - The pages from the Antora content catalog.
+ * @returns {Map} 'version@component:relative' to a Map of language to URL,
+ * ordered by language.
+ */
+function buildTranslationMap(pages) {
+  const translations = new Map();
+  pages
+    .filter((page) => page.src.component !== "shared" && page.pub)
+    .sort((a, b) => a.src.module.localeCompare(b.src.module))
+    .forEach((page) => {
+      const key = getTranslationKey(page);
+      if (!translations.has(key)) translations.set(key, new Map());
+      translations.get(key).set(page.src.module, page.pub.url);
+    });
+  return translations;
+}
+
+/**
+ * Gets the key of a page in the translation map.
+ * @param {object} page - The page from the Antora content catalog.
+ * @returns {string} The key, the page ID without the module.
+ */
+function getTranslationKey(page) {
+  return `${page.src.version}@${page.src.component}:${page.src.relative}`;
+}
+
+/**
+ * Builds the translation attributes of a page.
+ * @param {object} page - The page from the Antora content catalog.
+ * @param {Map} translations - The map from buildTranslationMap.
+ * @returns {object} The attributes.
+ */
+function getTranslationAttributes(page, translations) {
+  const languages = translations.get(getTranslationKey(page));
+  if (!languages) return {};
+  return {
+    "page-translation-languages": [...languages.keys()].join(", "),
+    ...Object.fromEntries(
+      [...languages].map(([lang, url]) => [`page-translation-url_${lang}`, url]),
+    ),
+  };
+}
+
+/**
+ * Warns if the :page-languages: of a page lists a language the page has no
+ * translation in, or leaves out one it has.
+ * @param {object} page - The page from the Antora content catalog.
+ * @param {string} fileText - The AsciiDoc source of the page.
+ * @param {Map} translations - The map from buildTranslationMap.
+ * @param {object} logger - The Antora logger.
+ */
+function checkPageLanguages(page, fileText, translations, logger) {
+  const match = /^:page-languages:[ \t]*(.*)$/m.exec(fileText);
+  if (!match) return;
+  const declared = match[1]
+    .replace(/[[\]]/g, "")
+    .split(",")
+    .map((lang) => lang.trim())
+    .filter(Boolean);
+  const existing = [...(translations.get(getTranslationKey(page))?.keys() || [])];
+  const problems = [];
+  const listedOnly = declared.filter((lang) => !existing.includes(lang));
+  const existingOnly = existing.filter((lang) => !declared.includes(lang));
+  if (listedOnly.length) problems.push(`lists ${listedOnly.join(", ")} without a page`);
+  if (existingOnly.length) problems.push(`leaves out ${existingOnly.join(", ")} with a page`);
+  if (!problems.length) return;
+  logger.warn(
+    {
+      file: { path: page.src.abspath || page.src.path, line: getLineNumber(fileText, match.index) },
+      source: page.src.origin,
+    },
+    `:page-languages: ${problems.join(" and ")}`,
+  );
+}
+
+/**
+ * Builds the translations manifest of the published pages (see the format at
+ * the top).
+ * @param {Map} translations - The map from buildTranslationMap.
+ * @returns {object} The manifest.
+ */
+function buildTranslationsManifest(translations) {
+  const components = {};
+  translations.forEach((languages, key) => {
+    const [, version, component, relative] = key.match(/^(.*?)@(.*?):(.*)$/);
+    const versions = components[component] || (components[component] = {});
+    const pages = versions[version] || (versions[version] = {});
+    pages[relative] = Object.fromEntries(languages);
+  });
+  return { schema: TRANSLATIONS_SCHEMA, generated: new Date().toISOString(), components };
+}
+
 /**
  * Writes the latest_dev.txt file for a component with version info.
  * @param {string} dir - Directory to write the file in.
  * @param {string} content - Content to write to the file.
+ * @param {object} logger - The extension logger.
  */
-function writeLatestDevFile(dir, content) {
+function writeLatestDevFile(dir, content, logger) {
   try {
     fs.mkdirSync(dir, { recursive: true });
     fs.writeFileSync(path.join(dir, LATEST_DEV_FILE), content, "utf8");
   } catch (err) {
-    console.error(`Failed to write ${LATEST_DEV_FILE} in ${dir}:`, err);
+    logger.error(err, `Failed to write ${LATEST_DEV_FILE} in ${dir}`);
     return;
   }
 }
 
-// Extension entry point: hooks into playbookBuilt, contentClassified,
-// sitePublished.
+// Extension entry point: hooks into playbookBuilt, contentAggregated,
+// contentClassified, navigationBuilt, beforePublish, sitePublished.
+
+module.exports.register = function ({ config = {} } = {}) {
+  const logger = this.getLogger("vlp");
+  // Configured channels and the channel used for the start page rewrite
+  const channels = normalizeChannels(config.channels);
+  const startPageChannel = config.startPageChannel || LATEST_SYMLINK;
+  // Language of the source pages and the fallback chains of the locale packs
+  const defaultLanguage = config.defaultLanguage || DEFAULT_LANGUAGE;
+  const languageFallbacks = normalizeLanguageFallbacks(config.languageFallbacks);
+  dprint("Channels:", JSON.stringify(channels));
+  if (config.aliasOutput && !ALIAS_OUTPUTS.includes(config.aliasOutput)) {
+    throw new Error(
+      `[vlp.js] alias-output must be one of ${ALIAS_OUTPUTS.join(", ")}`,
+    );
+  }
+
+  // The state of the current generator run. The listeners are registered with
+  // on, not once, and the state starts empty when the playbook is built, in
+  // case the generator context is reused for a rebuild.
+  let run = createRunState();
 
-module.exports.register = function () {
   // Capture output directory for later symlink and file creation
-  this.once("playbookBuilt", ({ playbook }) => {
+  this.on("playbookBuilt", async ({ playbook }) => {
     dprint("Entered playbookBuilt event");
+    run = createRunState();
+    // All extensions are registered by now, so this runs after their
+    // navigationBuilt listeners, unpublish-unlisted-pages among them
+    this.off("navigationBuilt", onNavigationBuilt);
+    this.on("navigationBuilt", onNavigationBuilt);
+    run.languageData = await loadLanguageSource(
+      config.languageSource,
+      playbook,
+      logger,
+      config.languageLoader,
+    );
     if (playbook.output?.dir) {
-      outputDir = playbook.output.dir;
+      run.outputDir = playbook.output.dir;
     } else {
       // If output.dir is unset, use default 'build/site'
-      outputDir = "build/site";
+      run.outputDir = "build/site";
+    }
+    dprint("outputDir is", run.outputDir);
+    // Keep the site URL to recognize links into the site
+    if (playbook.site?.url) {
+      const parsedUrl = new URL(playbook.site.url, "http://localhost");
+      run.siteHost = playbook.site.url.startsWith("/") ? null : parsedUrl.host;
+      run.sitePath = parsedUrl.pathname.replace(/\/$/, "");
+      run.siteUrl = run.siteHost ? `${parsedUrl.origin}${run.sitePath}` : null;
     }
-    dprint("outputDir is", outputDir);
     // Extract version and component from playbook.site.startPage
     // (e.g. 1.29@admission-controller:en:introduction.adoc)
     if (playbook.site?.startPage) {
@@ -214,81 +1067,131 @@ module.exports.register = function () {
       // The version is the part before '@' in startPage
       const versionMatch = startPage.match(/^([\w.-]+)@/);
       if (versionMatch) {
-        startPageVersionStr = versionMatch[1];
-        dprint("Version from playbook.site.startPage is", startPageVersionStr);
+        run.startPageVersionStr = versionMatch[1];
+        dprint("Version from playbook.site.startPage is", run.startPageVersionStr);
       }
       // The component is the part between '@' and ':' in startPage
       const compMatch = startPage.match(/^[\w.-]+@([\w.-]+):/);
       if (compMatch) {
-        startPageComponentName = compMatch[1];
+        run.startPageComponentName = compMatch[1];
         dprint(
           "Component from playbook.site.startPage is",
-          startPageComponentName,
+          run.startPageComponentName,
         );
       }
     }
   });
 
-  this.once("contentClassified", ({ contentCatalog }) => {
-    // For each component, determine latest stable and prerelease versions
-    contentCatalog.getComponents().forEach((component) => {
+  // Aliases are resolved before the content is classified, so that the
+  // rewritten :page-aliases: are registered with the actual versions
+  this.on("contentAggregated", ({ contentAggregate }) => {
+    // A component version can be distributed over several origins
+    const componentsByName = new Map();
+    contentAggregate.forEach((componentVersion) => {
+      if (!componentsByName.has(componentVersion.name)) {
+        componentsByName.set(componentVersion.name, new Map());
+      }
+      const versions = componentsByName.get(componentVersion.name);
+      if (!versions.has(componentVersion.version)) {
+        versions.set(componentVersion.version, componentVersion);
+      }
+    });
+
+    // For each component, determine the target version of each alias
+    componentsByName.forEach((versions, componentName) => {
+      const component = { name: componentName, versions: [...versions.values()] };
       // Skip 'shared' component (not versioned)
       if (component.name === "shared") return;
 
-      // Parse and coerce versions to semver objects
-      const parsedVersions = component.versions
-        .map((v) => ({
-          version: v.version,
-          semver: semver.coerce(v.version),
-          prerelease: v.prerelease,
-        }))
-        .filter((v) => v.semver);
+      // Parse and coerce versions to semver objects, latest first
+      const parsedVersions = parseVersions(component.versions);
 
       if (!parsedVersions.length) return;
 
-      // Sort versions in descending order (latest first)
-      parsedVersions.sort((a, b) => semver.rcompare(a.semver, b.semver));
-
-      // Find latest stable (no prerelease) and latest prerelease versions
-      const latestStableObj = parsedVersions.find(
-        (v) => v.prerelease === undefined,
-      );
-      const latestPrereleaseObj = parsedVersions.find(
-        (v) => v.prerelease !== undefined,
-      );
+      // Resolve the alias names and their target versions
+      const aliases = resolveAliases(channels, parsedVersions);
 
       // Store for later symlink creation in sitePublished
-      componentVersions.push({
+      run.componentVersions.push({
         componentName: component.name,
-        latestStableObj,
-        latestPrereleaseObj,
+        aliases,
       });
 
-      // Write latest_dev.txt file with latest version info
-      const dirName = getComponentDir(outputDir, component.name);
+      // Write latest_dev.txt file with the alias version info
+      const dirName = getComponentDir(run.outputDir, component.name);
       let fileContent = `${component.name}\n`;
-      if (latestStableObj)
-        fileContent += `latest: ${latestStableObj.version}\n`;
-      if (latestPrereleaseObj)
-        fileContent += `dev: ${latestPrereleaseObj.version}\n`;
+      for (const [aliasName, versionObj] of Object.entries(aliases)) {
+        fileContent += `${aliasName}: ${versionObj.version}\n`;
+      }
 
       dprint(
-        `In contentClassified:\n${component.name}/${LATEST_DEV_FILE} ` +
+        `In contentAggregated:\n${component.name}/${LATEST_DEV_FILE} ` +
           `will contain\n--------\n${fileContent}--------`,
       );
-      writeLatestDevFile(dirName, fileContent);
+      writeLatestDevFile(dirName, fileContent, logger);
+    });
+
+    // Alias names of all components and the plain channel names, so that
+    // references to unknown components are reported too
+    const aliasNames = new Set([
+      ...run.componentVersions.flatMap((e) => Object.keys(e.aliases)),
+      ...channels.filter((channel) => !channel.per).map((channel) => channel.name),
+    ]);
+
+    // Rewrite the alias references in all AsciiDoc files: pages, partials, nav
+    contentAggregate.forEach(({ name: compName, files }) => {
+      if (compName === "shared") return;
+      files.forEach((file) => {
+        if (path.extname(file.src?.path || "") !== ".adoc") return;
+        try {
+          const fileText = file.contents?.toString();
+          if (!fileText) return;
+          dprint(
+            `[SCANNING FILE] Scanning for alias references in ` +
+              `component: ${compName}, file: ${file.src?.path}`,
+          );
+          const newFileText = modifyReferencesInText(
+            fileText,
+            file,
+            run.componentVersions,
+            {
+              aliasNames,
+              sitePath: run.sitePath,
+              siteHost: run.siteHost,
+              logger,
+              componentName: compName,
+            },
+          );
+          if (newFileText !== fileText) file.contents = Buffer.from(newFileText);
+        } catch (err) {
+          logger.error(err, `Error processing file: ${file.src?.path}`);
+        }
+      });
     });
+  });
 
-    // Read and parse global-attributes.yml once
-    let languageData = [];
-    try {
-      const globalAttrPath = path.resolve(__dirname, '../../global-attributes.yml');
-      const globalAttrContent = fs.readFileSync(globalAttrPath, 'utf8');
-      const globalAttrYaml = yaml.load(globalAttrContent);
-      languageData = globalAttrYaml['language-data'] || [];
-    } catch (err) {
-      console.error('[vlp.js] Error reading/parsing global-attributes.yml:', err);
+  this.on("contentClassified", ({ contentCatalog, siteAsciiDocConfig }) => {
+    // The language data of the configured source, else the one of the site
+    // attributes (as loaded by load-global-site-attributes), else the one of
+    // the bundled global-attributes.yml
+    let languageData = run.languageData ?? siteAsciiDocConfig?.attributes?.[LANGUAGE_DATA_KEY];
+    if (languageData === undefined) {
+      try {
+        languageData = readBundledLanguageData();
+      } catch (err) {
+        logger.error(err, "Error reading/parsing global-attributes.yml");
+        languageData = [];
+      }
     }
+    const localePacks = buildLocalePacks(languageData, logger);
+    // All pages, the languages a page declares are checked against the sources
+    const translations = buildTranslationMap(contentCatalog.findBy({ family: "page" }));
+    checkLocalePacks(localePacks, languageFallbacks, defaultLanguage).forEach(({ lang, missing }) => {
+      logger.warn(
+        `Locale pack ${lang} does not define ${missing.join(", ")}, ` +
+          `falling back to ${defaultLanguage}`,
+      );
+    });
 
     contentCatalog.findBy({ mediaType: "text/asciidoc" }).forEach((file) => {
       dprint("Entered contentClassified file processing loop");
@@ -316,61 +1219,137 @@ module.exports.register = function () {
         // Example: docs/some/component/fr/filename.adoc => ['module','fr','filename.adoc']
         const relPathParts = filename.split(path.sep);
         dprint(`[LANG-INJECT] relPathParts for ${filename}:`, relPathParts);
+        let injectLines = [];
         if (relPathParts[1]) {
           // Inject :page-lang-<lang>: true for all languages, including 'en'
           const lang = relPathParts[1];
-          let injectLines = [`:page-lang_${lang}: true`];
-          // languageData is an array of objects like [{ fr: [':caution-caption: Attention', ...] }]
-          for (const langObj of languageData) {
-            const attrs = langObj[lang];
-            if (Array.isArray(attrs)) {
-              dprint(`[LANG-INJECT] Adding attributes for ${lang} to file: ${filename}`);
-              injectLines = injectLines.concat(attrs);
-              break;
-            }
+          injectLines.push(`:page-lang_${lang}: true`);
+          // The locale pack of the language, completed by its fallback chain
+          if (localePacks.size) {
+            dprint(`[LANG-INJECT] Adding attributes for ${lang} to file: ${filename}`);
+            injectLines = injectLines.concat(
+              resolveLanguageEntries(lang, localePacks, languageFallbacks, defaultLanguage),
+            );
           }
+        }
+        // Check the languages a page declares against the existing pages
+        if (file.src.family === "page") {
+          checkPageLanguages(file, fileText, translations, logger);
+        }
+        if (injectLines.length) {
           dprint(`[INJECT] Injecting lines into ${filename}:\n${injectLines.join('\n')}`);
           fileText = injectLines.join('\n') + '\n' + fileText;
         }
 
-        dprint(
-          `[SCANNING FILE] Scanning for xref:(latest|dev)@ in ` +
-            `component: ${compName}, file: ${file.src?.path}`,
-        );
-        const newFileText = modifyXrefsInText(
-          fileText,
-          file,
-          componentVersions,
-        );
-        file.contents = Buffer.from(newFileText);
+        file.contents = Buffer.from(fileText);
       } catch (err) {
-        console.error(`[vlp.js] Error processing file: ${file.src?.path}`, err);
+        logger.error(err, `Error processing file: ${file.src?.path}`);
         return;
       }
     });
   });
 
-  this.once("sitePublished", ({ playbook }) => {
+  // The latest version and translation attributes of the pages, once the
+  // unlisted pages are unpublished. The listener is added behind those of the
+  // other extensions when the playbook is built, see playbookBuilt.
+  const onNavigationBuilt = ({ contentCatalog }) => {
+    run.latestPages = buildLatestPageMap(
+      contentCatalog,
+      run.componentVersions,
+      config.latestChannel || LATEST_SYMLINK,
+    );
+    run.translations = buildTranslationMap(contentCatalog.getPages((page) => page.out));
+    contentCatalog.getPages((page) => page.out && page.asciidoc?.attributes).forEach((page) => {
+      if (page.src.component === "shared") return;
+      Object.assign(
+        page.asciidoc.attributes,
+        getLatestPageAttributes(page, run.latestPages),
+        getTranslationAttributes(page, run.translations),
+      );
+    });
+  };
+
+  // Built before publishing, so that the pages unpublished by other
+  // extensions, like unpublish-unlisted-pages, are left out
+  this.on("beforePublish", ({ contentCatalog, siteCatalog }) => {
+    if (config.versionsFile !== false) {
+      const versionsManifest = buildVersionsManifest(contentCatalog, run.componentVersions);
+      siteCatalog.addFile({
+        contents: Buffer.from(JSON.stringify(versionsManifest, null, 2)),
+        out: { path: config.versionsFile || VERSIONS_FILE },
+      });
+    }
+    if (config.translationsFile !== false) {
+      // The translations of the page attributes
+      siteCatalog.addFile({
+        contents: Buffer.from(JSON.stringify(buildTranslationsManifest(run.translations), null, 2)),
+        out: { path: config.translationsFile || TRANSLATIONS_FILE },
+      });
+    }
+    // Canonical links and sitemaps need absolute URLs
+    if (!run.siteUrl) return;
+    // Built again from the pages still published, as extensions may have
+    // unpublished pages since the navigation was built
+    run.latestPages = buildLatestPageMap(
+      contentCatalog,
+      run.componentVersions,
+      config.latestChannel || LATEST_SYMLINK,
+    );
+    if (config.canonical !== false) {
+      contentCatalog.getPages((page) => page.out && page.contents).forEach((page) => {
+        if (page.src.component === "shared") return;
+        const href = run.siteUrl + getCanonicalUrl(page, run.latestPages);
+        page.contents = Buffer.from(setCanonicalLink(page.contents.toString(), href));
+      });
+    }
+    if (config.sitemap !== false) {
+      // Replace the sitemaps of Antora with the same path, add the others
+      const siteFiles = new Map(siteCatalog.getFiles().map((file) => [file.out?.path, file]));
+      buildSitemaps(contentCatalog, run.latestPages, run.siteUrl).forEach((sitemap) => {
+        const contents = Buffer.from(sitemap.contents);
+        const existing = siteFiles.get(sitemap.path);
+        if (existing) {
+          existing.contents = contents;
+        } else {
+          siteCatalog.addFile({ contents, out: { path: sitemap.path } });
+        }
+        dprint(`Wrote sitemap ${sitemap.path}`);
+      });
+    }
+  });
+
+  this.on("sitePublished", ({ playbook }) => {
     const buildEnvironment = playbook.asciidoc?.attributes?.['build-environment'];
     dprint("build-environment attribute:", buildEnvironment);
+    run.aliasOutput = resolveAliasOutput(config.aliasOutput, buildEnvironment);
+    dprint("alias output:", run.aliasOutput);
+    const usesRules = RULE_ALIAS_OUTPUTS.includes(run.aliasOutput);
+    const aliasRules = [];
 
-    // Create symlinks for each component after site is published
-    componentVersions.forEach(
-      ({ componentName, latestStableObj, latestPrereleaseObj }) => {
-        const dirName = getComponentDir(outputDir, componentName);
+    // Create symlinks or rules for each component after site is published
+    run.componentVersions.forEach(
+      ({ componentName, aliases }) => {
+        const dirName = getComponentDir(run.outputDir, componentName);
         dprint(
           "In sitePublished, processing component",
           componentName,
           "in directory",
           dirName,
-          "for outputDir", outputDir
+          "for outputDir", run.outputDir
         );
-        // For both stable and prerelease, create symlinks if or copy
-        // version exists
-        [
-          { versionObj: latestStableObj, linkName: LATEST_SYMLINK },
-          { versionObj: latestPrereleaseObj, linkName: DEV_SYMLINK },
-        ].forEach(({ versionObj, linkName }) => {
+        // For each alias, collect the rule
+        if (usesRules) {
+          const prefix = componentName === "ROOT" ? "" : `${componentName}/`;
+          Object.entries(aliases).forEach(([linkName, versionObj]) => {
+            aliasRules.push({
+              from: `${prefix}${linkName}`,
+              to: `${prefix}${versionObj.version}`,
+            });
+          });
+          return;
+        }
+        // For each alias, create symlinks or copy if version exists
+        Object.entries(aliases).forEach(([linkName, versionObj]) => {
           if (versionObj) {
             try {
               dprint(
@@ -382,68 +1361,89 @@ module.exports.register = function () {
                 versionObj.version,
               );
               // Symlink points to the version directory
-              const symlinkOrCopyPath = getSymlinkOrCopyPath(outputDir, componentName, linkName);
+              const symlinkOrCopyPath = getSymlinkOrCopyPath(run.outputDir, componentName, linkName);
               const targetPath = path.relative(
                 dirName,
                 path.join(dirName, versionObj.version),
               );
               // Only create symlink or copy if path is safe
-              if (isSafePath(outputDir, symlinkOrCopyPath)) {
-                createSymlinkOrCopy(targetPath, symlinkOrCopyPath, buildEnvironment);
+              if (isSafePath(run.outputDir, symlinkOrCopyPath)) {
+                createSymlinkOrCopy(targetPath, symlinkOrCopyPath, run.aliasOutput);
               }
             } catch (err) {
-              console.error(
-                `Failed to create symlink or copy '${linkName}' in ${dirName}:`,
+              logger.error(
                 err,
+                `Failed to create symlink or copy '${linkName}' in ${dirName}`,
               );
             }
           }
         });
       },
     );
-    // Now adjust index.html, point at latest, not a specific version.
-    dprint("Adjusting root index.html to point to latest versions");
-    const indexPath = path.join(outputDir, "index.html");
+    if (usesRules && aliasRules.length) {
+      const rulesPath = getAliasRulesPath(run.outputDir, run.aliasOutput);
+      try {
+        writeAliasRules(
+          rulesPath,
+          buildAliasRules(run.aliasOutput, run.sitePath, aliasRules),
+          run.aliasOutput === "nginx",
+        );
+        dprint(`Wrote ${aliasRules.length} alias rule(s) to ${rulesPath}`);
+      } catch (err) {
+        logger.error(err, `Failed to write alias rules to ${rulesPath}`);
+      }
+    }
+    // Now adjust index.html, point at the start page channel (latest), not
+    // a specific version.
+    dprint(`Adjusting root index.html to point to ${startPageChannel} versions`);
+    const indexPath = path.join(run.outputDir, "index.html");
     if (fs.existsSync(indexPath)) {
       let indexContent = fs.readFileSync(indexPath, "utf8");
       dprint("Original index.html content:", indexContent);
-      if (startPageComponentName && startPageVersionStr) {
-        // Build the path to the 'latest' directory/symlink for the
+      if (run.startPageComponentName && run.startPageVersionStr) {
+        // Build the path to the channel directory/symlink for the
         // component. If startPageComponentName is 'ROOT',
-        // only use outputDir and 'latest'.
-        const latestPath = startPageComponentName === 'ROOT'
-          ? path.join(outputDir, 'latest')
-          : path.join(outputDir, startPageComponentName, 'latest');
+        // only use outputDir and the channel.
+        const latestPath = run.startPageComponentName === 'ROOT'
+          ? path.join(run.outputDir, startPageChannel)
+          : path.join(run.outputDir, run.startPageComponentName, startPageChannel);
         dprint("Checking for existence of", latestPath);
-        // Proceed only if 'latest' exists
-        if (fs.existsSync(latestPath)) {
+        // Proceed only if the channel exists, as directory or as rule
+        const channelExists = usesRules
+          ? run.componentVersions.some(
+              (e) =>
+                e.componentName === run.startPageComponentName &&
+                startPageChannel in e.aliases,
+            )
+          : fs.existsSync(latestPath);
+        if (channelExists) {
           // Backup index.html before modifying
-          const backupPath = path.join(outputDir, "index.html.bkp");
+          const backupPath = path.join(run.outputDir, "index.html.bkp");
           fs.copyFileSync(indexPath, backupPath);
           dprint(`Backed up index.html to ${backupPath}`);
-          if (startPageComponentName === 'ROOT') {
+          if (run.startPageComponentName === 'ROOT') {
             dprint(
-              `Updating index.html: Replacing occurrences of ${startPageVersionStr}/ with latest/ (ROOT case)`
+              `Updating index.html: Replacing occurrences of ${run.startPageVersionStr}/ with ${startPageChannel}/ (ROOT case)`
             );
             // Replace all occurrences of the version string followed by a slash, after =, ", >, or whitespace
-            const versionPattern = new RegExp(`([=\"'\s>])${startPageVersionStr}/`, "g");
-            indexContent = indexContent.replace(versionPattern, `$1latest/`);
+            const versionPattern = new RegExp(`([=\"'\s>])${run.startPageVersionStr}/`, "g");
+            indexContent = indexContent.replace(versionPattern, `$1${startPageChannel}/`);
           } else {
             dprint(
               `Updating index.html: ` +
-                `Replacing /${startPageComponentName}/${startPageVersionStr}/ ` +
-                `with /${startPageComponentName}/latest/`,
+                `Replacing /${run.startPageComponentName}/${run.startPageVersionStr}/ ` +
+                `with /${run.startPageComponentName}/${startPageChannel}/`,
             );
-            // Build a regex to match URLs containing the version for this component and replace with 'latest'.
+            // Build a regex to match URLs containing the version for this component and replace with the channel.
             const versionPattern = new RegExp(
-              `(${startPageComponentName})/${startPageVersionStr}(/|\\b)`,
+              `(${run.startPageComponentName})/${run.startPageVersionStr}(/|\\b)`,
               "g",
             );
             // Perform the replacement in index.html content
-            indexContent = indexContent.replace(versionPattern, "$1/latest$2");
+            indexContent = indexContent.replace(versionPattern, `$1/${startPageChannel}$2`);
           }
         } else {
-          // If 'latest' does not exist, skip the replacement
+          // If the channel does not exist, skip the replacement
           dprint(`Skipping index.html update: '${latestPath}' does not exist.`);
         }
       }
@@ -452,3 +1452,7 @@ module.exports.register = function () {
     }
   });
 };
+
+module.exports.isPrerelease = isPrerelease;
+module.exports.normalizeChannels = normalizeChannels;
+module.exports.resolveComponentAliases = resolveComponentAliases;
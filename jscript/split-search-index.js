@@ -1,30 +1,341 @@
-// Usage: node split-search-index.js <input-index.js> <output-dir>
+// Usage: node split-search-index.js [--languages <lang,...>] [--attributes <file>] [--rebuild all|<lang,...>] [--records ndjson|json] [--no-compress] <input-index.js> <output-dir>
 // Splits Antora's monolithic Lunr index into per-component, per-version,
 // per-language files.
-
+//
+// The payload is streamed twice and never held in memory as a whole: the first
+// pass reads the documents to group them, the second one splits the postings
+// and field vectors of the index by group as they are read and appends them to
+// the files of the groups.
+//
+// The languages to split out are:
+//   --languages ..... a comma-separated list, it wins over --attributes
+//   --attributes .... the languages of DEFAULT_LANGS and those of
+//                     'language-data' in an attribute file, like
+//                     global-attributes.yml, it also has the product titles
+//                     of 'page-project-data' for --records
+//   otherwise the languages of DEFAULT_LANGS
+// Documents without a component, version or supported language are not
+// written to any file, each one is reported with the reason.
+//
+// As an Antora extension, registered after @antora/lunr-extension, it splits
+// the search-index.js of the site when the site is published:
+//
+//   antora:
+//     extensions:
+//     - '@antora/lunr-extension'
+//     - require: ./jscript/split-search-index.js
+//       languages: [en, de, fr]   # default: DEFAULT_LANGS and the languages of
+//                                 # 'language-data' in the site attributes
+//       rebuild: [de, zh]         # default: false, true for all languages
+//       records: ndjson           # default: false, true for ndjson, or json
+//
+// The files are written to lang-indexes/ next to search-index.js, which is
+// replaced by a loader.
+//
+// The name of each file has the hash of its content, like
+// rancher-manager/v2.12/search-index-en.0123456789ab.js, with gzip (.gz) and
+// brotli (.br) compressed copies next to it for servers that serve
+// precompressed files (disable them with 'compress: false' or --no-compress).
+// lang-indexes/manifest.json maps each component, version and language to its
+// file, the loader embeds it:
+//
+//   {
+//     "shards": { "<component>": { "<version>": { "<lang>": "<file>" } } },
+//     "aliases": { "<component>": { "<alias>": "<version>" } },
+//     "pipelines": { "<lang>": { "languages": ["en", "de"], "scripts": ["<file>", ...] } }
+//   }
+//
+// So the files can be cached for good, only search-index.js must be revalidated.
+//
+// The Lunr index of Antora uses the English pipeline for all documents. With
+// 'rebuild: true' (or a list of languages, --rebuild all|<lang,...> on the
+// command line), the files of the other languages are indexed again from their
+// documents, the same way @antora/lunr-extension does, with the stemmer and stop
+// words of the language from lunr-languages, along with the English ones. The
+// fields and the metadata of the postings (position) are those of the source
+// index. The
+// text of Chinese, Japanese and Korean is split into overlapping pairs of
+// characters (bigrams), queries too, so words are found without a dictionary.
+// 'pipelines' in the manifest lists the scripts the loader runs before it loads a
+// rebuilt file, to register the search pipeline of the language.
+//
+// The loader loads the shard of the current component, version and language for
+// the search UI, as before. More shards can be searched with
+// window.antoraSearchLoader, which fetches them when first needed:
+//
+//   antoraSearchLoader.search('install', { scope: 'versions' }).then(({ results, facets }) => ...)
+//
+//   scope ....... 'version' (default, the current component version), 'versions'
+//                 (all versions of the components), 'products' (the latest
+//                 version of the components) or 'all'
+//   components .. the components to search, default the current one for
+//                 'version' and 'versions', else all
+//   versions .... the versions to search, instead of those of the scope
+//   lang ........ default the language of the page, English if a version has no
+//                 shard in the language
+//
+// Each result has the Lunr ref, score and matchData, the document, its
+// component, version, lang, title and displayVersion, and normalizedScore, its
+// score relative to the best one of its shard, which orders the results of all
+// shards. The facets count the results by component and by component version.
+// antoraSearchLoader.load(component, version, lang) resolves with one shard,
+// { component, version, lang, file, index, store }.
+//
+// With 'records: ndjson' (or json, --records on the command line), the documents
+// of each file are exported too, for search engines and other indexers that do
+// not read Lunr indexes, to lang-indexes/records/<component>/<version>/<lang>.ndjson
+// (one record per line) or .json (an array of records). A record is:
+//
+//   {
+//     "id": "rancher-manager_v2_12_en_12",   // unique, letters, digits, - and _
+//     "url": "/rancher-manager/v2.12/en/installation.html",
+//     "title": "Installation",
+//     "sections": [{ "title": "Requirements", "anchor": "requirements", "url": "<url>#requirements" }],
+//     "text": "...",                          // the text of the page, as indexed
+//     "component": "rancher-manager",
+//     "product": "SUSE Rancher Manager",      // fullTitle of 'page-project-data', else
+//                                             // its title, else the component version title
+//     "version": "v2.12",
+//     "displayVersion": "v2.12",
+//     "latest": true,                         // the latest stable version of the component
+//     "dev": false,                           // the latest prerelease of the component
+//     "lang": "en"
+//   }
+//
+// lang-indexes/records/index.json lists the files with their number of records,
+// { "schema": 1, "format": "ndjson", "generated": "<date>", "files": [{ "component",
+// "version", "lang", "file", "records" }] }, schema is increased when a field of
+// a record changes or is removed.
+
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
 const semver = require('semver');
+const { isPrerelease } = require('../extensions/versions-latest-prerelease/vlp.js');
 
-const TARGET_LANGS = ['en', 'es', 'de', 'fr', 'pt', 'ja', 'ko', 'zh'];
-const SUPPORTED_LANG_SET = new Set(TARGET_LANGS);
+const DEFAULT_LANGS = ['en', 'es', 'de', 'fr', 'pt', 'ja', 'ko', 'zh'];
+const LANGUAGE_DATA_KEY = 'language-data';
+const SEARCH_INDEX_BASENAME = 'search-index.js';
+const OUTPUT_DIRNAME = 'lang-indexes';
 const SOURCE_INDEX_BASENAME = 'search-index-source.js';
+const MANIFEST_BASENAME = 'manifest.json';
+// The number of hex digits of the content hash in the file names
+const HASH_LENGTH = 12;
 const LATEST_ALIAS = 'latest';
 const DEV_ALIAS = 'dev';
 
-function parseSearchData(buffer) {
-  const match = buffer.match(/antoraSearch\.initSearch\(lunr,\s*(\{[\s\S]*\})\s*\);?/);
-  if (!match) {
-    throw new Error('Could not find searchData object in file (expected antoraSearch.initSearch(lunr, ...))');
-  }
+const PAYLOAD_START_RX = /antoraSearch\.initSearch\(lunr,\s*\{/;
+// How much of a file is searched for the start of the payload
+const PAYLOAD_HEAD_SIZE = 64 * 1024;
+const READ_CHUNK_SIZE = 1024 * 1024;
+// The output of a shard is buffered up to this size before it is appended to the file
+const SHARD_FLUSH_SIZE = 64 * 1024;
+const WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+// Languages indexed by character bigrams, with the English pipeline for other words
+const CJK_LANGS = new Set(['zh', 'ja', 'ko']);
+const RUNTIME_SCRIPTS_DIRNAME = 'lunr-languages';
+// The field boosts of @antora/lunr-extension, a Lunr index does not keep them
+const FIELD_BOOSTS = { title: 10, keyword: 5 };
+const PROJECT_DATA_KEY = 'page-project-data';
+const RECORDS_DIRNAME = 'records';
+const RECORDS_INDEX_BASENAME = 'index.json';
+const RECORDS_SCHEMA = 1;
+const RECORD_FORMATS = ['ndjson', 'json'];
+
+function parseValue(text) {
   try {
-    return JSON.parse(match[1]);
+    return JSON.parse(text);
   } catch {
-    const relaxed = match[1].replace(/,\s*}/g, '}').replace(/,\s*]/g, ']');
+    const relaxed = text.replace(/,\s*}/g, '}').replace(/,\s*]/g, ']');
     return JSON.parse(relaxed);
   }
 }
 
+// A streaming scanner for the JSON payload of a search index, fed chunk by chunk
+// with write(). select(path) decides for each value, by its path of keys and
+// array indexes, to 'descend' into its members, 'capture' it, which parses it
+// and passes it to onValue(path, value), or 'skip' it. onStart(path) and
+// onEnd(path) are called for the objects and arrays descended into. Only the
+// value being captured is held in memory.
+function createJsonScanner({ select, onValue = () => {}, onStart = () => {}, onEnd = () => {} }) {
+  const stack = [];
+  let mode = 'value';
+  let capture = null;
+  let key = null;
+  let done = false;
+
+  const top = () => stack[stack.length - 1];
+  const unexpected = (ch) => new Error(`Unexpected ${JSON.stringify(ch)} in the search index payload`);
+
+  function valuePath() {
+    const frame = top();
+    if (!frame) return [];
+    return [...frame.path, frame.type === 'object' ? frame.key : frame.index];
+  }
+
+  // Returns true if the value is captured or skipped, starting with ch
+  function startValue(ch) {
+    const path = valuePath();
+    const action = select(path);
+    if ((ch === '{' || ch === '[') && action === 'descend') {
+      const type = ch === '{' ? 'object' : 'array';
+      stack.push({ type, path, key: null, index: 0 });
+      onStart(path, type);
+      mode = type === 'object' ? 'key' : 'value';
+      return false;
+    }
+    capture = { path, keep: action !== 'skip', parts: [], depth: 0, inString: false, escape: false };
+    return true;
+  }
+
+  function endValue() {
+    mode = 'after';
+    if (!stack.length) done = true;
+  }
+
+  function endCapture(chunk, start, end) {
+    const { path, keep, parts } = capture;
+    capture = null;
+    if (keep) {
+      parts.push(chunk.slice(start, end));
+      onValue(path, parseValue(parts.join('')));
+    }
+    endValue();
+  }
+
+  function endContainer() {
+    const frame = stack.pop();
+    onEnd(frame.path, frame.type);
+    endValue();
+  }
+
+  function write(chunk) {
+    let start = 0;
+    for (let i = 0; i < chunk.length && !done; i++) {
+      const ch = chunk[i];
+      if (capture) {
+        if (capture.inString) {
+          if (capture.escape) {
+            capture.escape = false;
+          } else if (ch === '\\') {
+            capture.escape = true;
+          } else if (ch === '"') {
+            capture.inString = false;
+            if (capture.depth === 0) endCapture(chunk, start, i + 1);
+          }
+        } else if (ch === '"') {
+          capture.inString = true;
+        } else if (ch === '{' || ch === '[') {
+          capture.depth++;
+        } else if (ch === '}' || ch === ']') {
+          if (capture.depth === 0) {
+            // the end of a number or literal, the closing bracket is scanned again
+            endCapture(chunk, start, i--);
+          } else if (--capture.depth === 0) {
+            endCapture(chunk, start, i + 1);
+          }
+        } else if (capture.depth === 0 && (ch === ',' || WHITESPACE.has(ch))) {
+          endCapture(chunk, start, i--);
+        }
+        continue;
+      }
+      if (key) {
+        key.raw += ch;
+        if (key.escape) {
+          key.escape = false;
+        } else if (ch === '\\') {
+          key.escape = true;
+        } else if (ch === '"') {
+          top().key = JSON.parse(key.raw);
+          key = null;
+          mode = 'colon';
+        }
+        continue;
+      }
+      if (WHITESPACE.has(ch)) continue;
+      const frame = top();
+      if (mode === 'value') {
+        // ] right after [ or after a trailing comma
+        if (ch === ']' && frame && frame.type === 'array') {
+          endContainer();
+        } else if (startValue(ch)) {
+          start = i--;
+        }
+      } else if (mode === 'key') {
+        if (ch === '}') {
+          endContainer();
+        } else if (ch === '"') {
+          key = { raw: ch, escape: false };
+        } else {
+          throw unexpected(ch);
+        }
+      } else if (mode === 'colon') {
+        if (ch !== ':') throw unexpected(ch);
+        mode = 'value';
+      } else if (ch === ',') {
+        if (frame.type === 'object') {
+          mode = 'key';
+        } else {
+          frame.index++;
+          mode = 'value';
+        }
+      } else if ((ch === '}' && frame.type === 'object') || (ch === ']' && frame.type === 'array')) {
+        endContainer();
+      } else {
+        throw unexpected(ch);
+      }
+    }
+    if (capture && capture.keep) capture.parts.push(chunk.slice(start));
+    return !done;
+  }
+
+  function end() {
+    if (!done) throw new Error('Unexpected end of the search index payload');
+  }
+
+  return { write, end };
+}
+
+function isPayloadFile(file) {
+  if (!fs.existsSync(file)) return false;
+  const fd = fs.openSync(file, 'r');
+  try {
+    const head = Buffer.alloc(PAYLOAD_HEAD_SIZE);
+    const size = fs.readSync(fd, head, 0, PAYLOAD_HEAD_SIZE, 0);
+    return PAYLOAD_START_RX.test(head.toString('utf8', 0, size));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Streams the payload of a search index file, the object passed to
+// antoraSearch.initSearch(), through a scanner.
+async function scanSearchPayload(file, scanner) {
+  let head = '';
+  let found = false;
+  for await (const chunk of fs.createReadStream(file, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE })) {
+    if (found) {
+      if (!scanner.write(chunk)) break;
+      continue;
+    }
+    head += chunk;
+    const match = PAYLOAD_START_RX.exec(head);
+    if (match) {
+      found = true;
+      if (!scanner.write(head.slice(match.index + match[0].length - 1))) break;
+      head = '';
+    } else if (head.length > PAYLOAD_HEAD_SIZE) {
+      break;
+    }
+  }
+  if (!found) {
+    throw new Error('Could not find searchData object in file (expected antoraSearch.initSearch(lunr, ...))');
+  }
+  scanner.end();
+}
+
 function parseDocMeta(doc) {
   const urlMatch = typeof doc.url === 'string'
     ? doc.url.match(/^\/([^/]+)\/([^/]+)\/([^/]+)\//)
@@ -39,83 +350,543 @@ function extractRefBase(ref) {
   return String(ref).split('-')[0];
 }
 
-function filterFieldVectors(fieldVectors, keepDocIds) {
-  return fieldVectors.filter(([key]) => {
-    const keyStr = String(key);
-    const slashAt = keyStr.indexOf('/');
-    const ref = slashAt === -1 ? keyStr : keyStr.slice(slashAt + 1);
-    return keepDocIds.has(extractRefBase(ref));
+function getFieldVectorRef(key) {
+  const keyStr = String(key);
+  const slashAt = keyStr.indexOf('/');
+  return slashAt === -1 ? keyStr : keyStr.slice(slashAt + 1);
+}
+
+// Splits a posting of the inverted index by shard, each part lists the refs of
+// the documents of its shard.
+function partitionPosting(posting, allFields, shardByDocId) {
+  const parts = new Map();
+  if (!posting || typeof posting !== 'object') return parts;
+
+  for (const field of allFields) {
+    const refs = posting[field];
+    if (!refs || typeof refs !== 'object' || Array.isArray(refs)) continue;
+
+    for (const [ref, meta] of Object.entries(refs)) {
+      const shard = shardByDocId.get(extractRefBase(ref));
+      if (!shard) continue;
+
+      let part = parts.get(shard);
+      if (!part) {
+        part = {};
+        if (Object.hasOwn(posting, '_index')) {
+          part._index = posting._index;
+        }
+        // Lunr expects each posting to contain every indexed field key.
+        for (const partField of allFields) part[partField] = {};
+        parts.set(shard, part);
+      }
+      part[field][ref] = meta;
+    }
+  }
+  return parts;
+}
+
+// Pass 1: reads what the documents are grouped by and the component versions,
+// the postings and vectors of the index are skipped.
+async function readSearchStore(payloadFile) {
+  const documents = {};
+  let componentVersions = {};
+  let fields = [];
+  const scanner = createJsonScanner({
+    select(searchPath) {
+      const [root, key] = searchPath;
+      switch (searchPath.length) {
+        case 0: return 'descend';
+        case 1: return root === 'index' || root === 'store' ? 'descend' : 'skip';
+        case 2:
+          if (root === 'store' && key === 'documents') return 'descend';
+          return (root === 'index' && key === 'fields') || (root === 'store' && key === 'componentVersions') ? 'capture' : 'skip';
+        default: return root === 'store' && key === 'documents' ? 'capture' : 'skip';
+      }
+    },
+    onValue([root, key, docId], value) {
+      if (root === 'index') {
+        fields = value || [];
+      } else if (key === 'componentVersions') {
+        componentVersions = value || {};
+      } else {
+        const { url, title, component, version, lang } = value || {};
+        documents[docId] = { url, title, component, version, lang };
+      }
+    },
   });
+  await scanSearchPayload(payloadFile, scanner);
+  return { documents, componentVersions, fields };
 }
 
-function filterInvertedIndex(invertedIndex, keepDocIds, allFields) {
-  const filtered = [];
-  for (const [token, posting] of invertedIndex) {
-    if (!posting || typeof posting !== 'object') continue;
+function getContentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
 
-    const newPosting = {};
-    if (Object.hasOwn(posting, '_index')) {
-      newPosting._index = posting._index;
+// Buffers the output of a shard and appends it to the file, end() returns the
+// hash of the content.
+function createShardWriter(file) {
+  const hash = crypto.createHash('sha256');
+  let pending = [];
+  let size = 0;
+  let created = false;
+
+  function flush() {
+    const text = pending.join('');
+    hash.update(text);
+    if (created) {
+      fs.appendFileSync(file, text);
+    } else {
+      fs.writeFileSync(file, text);
+      created = true;
     }
+    pending = [];
+    size = 0;
+  }
 
-    let hasAnyRefs = false;
-    for (const field of allFields) {
-      const refs = posting[field];
-      const keptRefs = {};
+  return {
+    write(text) {
+      pending.push(text);
+      size += text.length;
+      if (size >= SHARD_FLUSH_SIZE) flush();
+    },
+    end() {
+      flush();
+      return hash.digest('hex').slice(0, HASH_LENGTH);
+    },
+  };
+}
 
-      if (refs && typeof refs === 'object' && !Array.isArray(refs)) {
-        for (const [ref, meta] of Object.entries(refs)) {
-          if (keepDocIds.has(extractRefBase(ref))) {
-            keptRefs[ref] = meta;
-            hasAnyRefs = true;
+// Writes the gzip and brotli compressed copies of a shard.
+async function compressShard(file) {
+  const { size } = fs.statSync(file);
+  await pipeline(fs.createReadStream(file), zlib.createGzip({ level: zlib.constants.Z_BEST_COMPRESSION }), fs.createWriteStream(`${file}.gz`));
+  await pipeline(
+    fs.createReadStream(file),
+    zlib.createBrotliCompress({
+      params: {
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size,
+      },
+    }),
+    fs.createWriteStream(`${file}.br`)
+  );
+}
+
+function buildManifest(shards, aliases, pipelines) {
+  const manifest = {
+    shards: {},
+    aliases,
+    pipelines: Object.fromEntries(Object.entries(pipelines).map(([lang, { languages, files }]) => [lang, { languages, scripts: files }])),
+  };
+  for (const { component, version, lang, file } of shards) {
+    if (!manifest.shards[component]) manifest.shards[component] = {};
+    if (!manifest.shards[component][version]) manifest.shards[component][version] = {};
+    manifest.shards[component][version][lang] = file;
+  }
+  return manifest;
+}
+
+// Pass 2: streams the payload into the shards of the groups. Each member of the
+// index and the store is written to the shards as it is read, postings and
+// field vectors are split in one go, so the output is written in the order of
+// the payload. The payload is expected as written by the Lunr extension, with
+// the index before the store.
+async function writeShards(payloadFile, outputDir, groups, allFields, logger) {
+  const shards = [];
+  const shardByDocId = new Map();
+  for (const [component, versions] of Object.entries(groups)) {
+    for (const [version, langs] of Object.entries(versions)) {
+      const versionDir = path.join(outputDir, component, version);
+      fs.mkdirSync(versionDir, { recursive: true });
+
+      for (const [lang, group] of Object.entries(langs)) {
+        const shard = {
+          component,
+          version,
+          lang,
+          group,
+          writer: createShardWriter(path.join(versionDir, `search-index-${lang}.js`)),
+          items: 0,
+        };
+        group.docIds.forEach((docId) => shardByDocId.set(docId, shard));
+        shards.push(shard);
+      }
+    }
+  }
+
+  const writeAll = (text) => shards.forEach((shard) => shard.writer.write(text));
+  const writeItem = (shard, text) => shard.writer.write(shard.items++ ? `,${text}` : text);
+  const keys = { index: [], store: [] };
+  const writeKey = (root, key) => {
+    writeAll(`${keys[root].length ? ',' : ''}${JSON.stringify(key)}:`);
+    keys[root].push(key);
+  };
+  const writeMissing = (root, defaults) => {
+    for (const [key, value] of Object.entries(defaults)) {
+      if (!keys[root].includes(key)) {
+        writeKey(root, key);
+        writeAll(value);
+      }
+    }
+  };
+
+  const scanner = createJsonScanner({
+    select(searchPath) {
+      const [root, key] = searchPath;
+      switch (searchPath.length) {
+        case 0: return 'descend';
+        case 1:
+          if (root === 'store' && !keys.index.length) {
+            throw new Error('The search index payload has no index before the store');
           }
+          return root === 'index' || root === 'store' ? 'descend' : 'skip';
+        case 2:
+          return (root === 'index' && (key === 'fieldVectors' || key === 'invertedIndex')) ||
+            (root === 'store' && key === 'documents')
+            ? 'descend'
+            : 'capture';
+        default: return 'capture';
+      }
+    },
+    onStart([root, key], type) {
+      if (root === undefined) {
+        writeAll('antoraSearch.initSearch(lunr, {');
+      } else if (key === undefined) {
+        writeAll(root === 'index' ? '"index":{' : ',"store":{');
+      } else {
+        writeKey(root, key);
+        writeAll(type === 'object' ? '{' : '[');
+        shards.forEach((shard) => { shard.items = 0; });
+      }
+    },
+    onEnd([root, key], type) {
+      if (root === undefined) {
+        writeAll('});\n');
+      } else if (key === undefined) {
+        if (root === 'index') {
+          writeMissing('index', { fieldVectors: '[]', invertedIndex: '[]' });
+        } else {
+          writeMissing('store', { documents: '{}', componentVersions: '{}' });
+        }
+        writeAll('}');
+      } else {
+        writeAll(type === 'object' ? '}' : ']');
+      }
+    },
+    onValue([root, key, item], value) {
+      if (key === 'fieldVectors') {
+        const shard = shardByDocId.get(extractRefBase(getFieldVectorRef(value[0])));
+        if (shard) writeItem(shard, JSON.stringify(value));
+      } else if (key === 'invertedIndex') {
+        const [token, posting] = value;
+        for (const [shard, part] of partitionPosting(posting, allFields, shardByDocId)) {
+          writeItem(shard, JSON.stringify([token, part]));
         }
+      } else if (key === 'documents') {
+        const shard = shardByDocId.get(item);
+        if (shard) writeItem(shard, `${JSON.stringify(item)}:${JSON.stringify(value)}`);
+      } else if (key === 'componentVersions') {
+        writeKey(root, key);
+        shards.forEach((shard) => shard.writer.write(JSON.stringify(Object.fromEntries(
+          Object.entries(value || {}).filter(([componentVersionKey]) => shard.group.componentVersionKeys.has(componentVersionKey))
+        ))));
+      } else {
+        writeKey(root, key);
+        writeAll(JSON.stringify(value));
       }
+    },
+  });
+  await scanSearchPayload(payloadFile, scanner);
+
+  return shards.map(({ component, version, lang, group, writer }) => ({
+    component,
+    version,
+    lang,
+    docs: group.docIds.size,
+    hash: writer.end(),
+  }));
+}
+
+// Registers the pipeline functions of languages indexed by character bigrams and
+// the lunr.cjk plugin. It is embedded in the loader too, so it is kept to ES5.
+function registerCjkPipeline(lunr) {
+  if (lunr.cjk) return;
+  var cjkChars = '\\u3040-\\u30ff\\u3400-\\u4dbf\\u4e00-\\u9fff\\uac00-\\ud7af\\uf900-\\ufaff\\uff66-\\uff9f';
+  var cjkRx = new RegExp('[' + cjkChars + ']');
+  var runRx = new RegExp('[' + cjkChars + ']+|[^' + cjkChars + ']+', 'g');
+  var trimRx = new RegExp('^[^\\w' + cjkChars + ']+|[^\\w' + cjkChars + ']+$', 'g');
+
+  var trimmer = function (token) {
+    return token.update(function (str) {
+      return str.replace(trimRx, '');
+    });
+  };
+  var bigrams = function (token) {
+    var str = token.toString();
+    if (!cjkRx.test(str)) return token;
+    var terms = [];
+    (str.match(runRx) || []).forEach(function (run) {
+      if (!cjkRx.test(run) || run.length === 1) {
+        terms.push(run);
+        return;
+      }
+      for (var i = 0; i < run.length - 1; i++) terms.push(run.slice(i, i + 2));
+    });
+    return terms.map(function (term) {
+      return token.clone(function () {
+        return term;
+      });
+    });
+  };
+  lunr.Pipeline.registerFunction(trimmer, 'trimmer-cjk');
+  lunr.Pipeline.registerFunction(bigrams, 'bigrams-cjk');
+  lunr.cjk = function () {
+    this.pipeline.reset();
+    this.pipeline.add(trimmer, bigrams, lunr.stopWordFilter, lunr.stemmer);
+    this.searchPipeline.reset();
+    this.searchPipeline.add(trimmer, bigrams, lunr.stemmer);
+  };
+}
 
-      // Lunr expects each posting to contain every indexed field key.
-      newPosting[field] = keptRefs;
+// Gets the Lunr pipeline of a language (pt_br uses the one of pt), undefined
+// for English and for languages lunr-languages does not support.
+function getLanguagePipeline(lang) {
+  const code = lang.split('_')[0];
+  if (code === 'en') return undefined;
+  const lunr = require('lunr');
+  if (CJK_LANGS.has(code)) {
+    registerCjkPipeline(lunr);
+    return { languages: ['en', 'cjk'], plugin: lunr.cjk, scripts: [] };
+  }
+  let languageFile;
+  try {
+    languageFile = require.resolve(`lunr-languages/lunr.${code}`);
+  } catch {
+    return undefined;
+  }
+  require('lunr-languages/lunr.stemmer.support')(lunr);
+  if (!lunr.multiLanguage) require('lunr-languages/lunr.multi')(lunr);
+  if (!lunr[code]) require(languageFile)(lunr);
+  return {
+    languages: ['en', code],
+    plugin: lunr.multiLanguage('en', code),
+    // Only the search pipeline, the stemmers, is needed to load an index
+    scripts: ['lunr.stemmer.support', `lunr.${code}`].map((name) => require.resolve(`lunr-languages/min/${name}.min.js`)),
+  };
+}
+
+// Gets the metadata keys the postings of an index keep, like position for
+// highlighting, the metadata whitelist the index was built with.
+function getMetadataWhitelist(serializedIndex) {
+  const keys = new Set();
+  for (const [, posting] of serializedIndex.invertedIndex || []) {
+    for (const [field, refs] of Object.entries(posting)) {
+      if (field === '_index') continue;
+      for (const metadata of Object.values(refs)) Object.keys(metadata).forEach((key) => keys.add(key));
     }
+  }
+  return [...keys];
+}
 
-    if (hasAnyRefs) {
-      filtered.push([token, newPosting]);
+// Indexes the documents of a shard again with the pipeline of its language,
+// with the fields of the source index and the metadata its postings keep.
+// Returns the new content hash.
+function rebuildShard(file, plugin, fields) {
+  const lunr = require('lunr');
+  const text = fs.readFileSync(file, 'utf8');
+  const { index: sourceIndex, store } = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+  const metadataWhitelist = getMetadataWhitelist(sourceIndex);
+  const index = lunr(function () {
+    this.use(plugin);
+    this.ref('id');
+    fields.forEach((field) => {
+      this.field(field, FIELD_BOOSTS[field] ? { boost: FIELD_BOOSTS[field] } : undefined);
+    });
+    this.metadataWhitelist = metadataWhitelist;
+    Object.values(store.documents || {}).forEach((doc) => {
+      (doc.titles || []).forEach((title) => {
+        // With index-by-heading, a title has the text of its section
+        this.add(
+          title.title === undefined
+            ? { id: `${doc.id}-${title.id}`, title: title.text }
+            : { id: `${doc.id}-${title.id}`, title: title.title, text: title.text }
+        );
+      });
+      this.add(doc);
+    });
+  });
+  const out = `antoraSearch.initSearch(lunr, ${JSON.stringify({ index, store })});\n`;
+  fs.writeFileSync(file, out);
+  return getContentHash(out);
+}
+
+// Copies a script the loader needs to the output directory, with the content
+// hash in its name, and returns its path relative to the output directory.
+function copyRuntimeScript(outputDir, scriptFile) {
+  const content = fs.readFileSync(scriptFile);
+  const file = `${RUNTIME_SCRIPTS_DIRNAME}/${path.basename(scriptFile, '.js')}.${getContentHash(content)}.js`;
+  fs.mkdirSync(path.join(outputDir, RUNTIME_SCRIPTS_DIRNAME), { recursive: true });
+  fs.writeFileSync(path.join(outputDir, file), content);
+  return file;
+}
+
+// Gets the pipelines of the languages to rebuild, the languages without one are
+// reported and keep the English pipeline.
+function getRebuildPipelines(rebuild, languages, outputDir, logger) {
+  const pipelines = {};
+  if (!rebuild) return pipelines;
+  const rebuildLangs = Array.isArray(rebuild) ? rebuild : languages;
+  for (const lang of rebuildLangs) {
+    if (lang === 'en') continue;
+    const pipeline = getLanguagePipeline(lang);
+    if (!pipeline) {
+      logger.warn(`No Lunr pipeline for the language ${lang}, its search index files keep the English one`);
+      continue;
     }
+    pipelines[lang] = pipeline;
+    pipeline.files = pipeline.scripts.map((scriptFile) => copyRuntimeScript(outputDir, scriptFile));
   }
-  return filtered;
+  return pipelines;
 }
 
-function ensurePayloadBuffer(inputFile, outputDir, initialBuffer) {
-  if (/antoraSearch\.initSearch\(lunr,\s*\{/.test(initialBuffer)) {
-    return initialBuffer;
+// Maps each product (component) of 'page-project-data' to its full title.
+function getProductTitles(projectData) {
+  const titles = {};
+  if (!Array.isArray(projectData)) return titles;
+  for (const entry of projectData) {
+    if (entry && entry['url-part']) titles[entry['url-part']] = entry.fullTitle || entry.title;
   }
+  return titles;
+}
 
-  const fallbackFile = path.join(outputDir, SOURCE_INDEX_BASENAME);
-  if (fs.existsSync(fallbackFile)) {
-    return fs.readFileSync(fallbackFile, 'utf8');
+function getRecordsFormat(records) {
+  if (!records) return undefined;
+  const format = records === true ? RECORD_FORMATS[0] : String(records);
+  if (!RECORD_FORMATS.includes(format)) {
+    throw new Error(`Unknown search records format ${format}, use ${RECORD_FORMATS.join(' or ')}`);
   }
+  return format;
+}
+
+function buildSearchRecord(doc, { component, version, lang }, { product, displayVersion, latest, dev }) {
+  const url = doc.url;
+  return {
+    id: [component, version, lang, doc.id].join('_').replace(/[^\w-]/g, '_'),
+    url,
+    title: doc.title,
+    sections: (doc.titles || []).map(({ text, hash }) => ({ title: text, anchor: hash, url: hash ? `${url}#${hash}` : url })),
+    text: doc.text || '',
+    component,
+    product,
+    version,
+    displayVersion,
+    latest,
+    dev,
+    lang,
+  };
+}
+
+// Writes the documents of each shard as search records, read back from the
+// shards, one at a time. A record is latest or dev if its version is the one of
+// the channel, not if the alias only links to it for lack of documents.
+function exportSearchRecords(outputDir, shards, { format, productTitles, componentVersionAliases, logger }) {
+  const files = [];
+  for (const shard of shards) {
+    const { component, version, lang } = shard;
+    const text = fs.readFileSync(path.join(outputDir, shard.file), 'utf8');
+    const { store } = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    const componentVersion = (store.componentVersions || {})[`${component}/${version}`] || {};
+    const aliases = componentVersionAliases[component] || {};
+    const context = {
+      product: productTitles[component] || componentVersion.title || component,
+      displayVersion: componentVersion.displayVersion || version,
+      latest: aliases[LATEST_ALIAS] === version,
+      dev: aliases[DEV_ALIAS] === version,
+    };
+    const records = Object.values(store.documents).map((doc) => buildSearchRecord(doc, shard, context));
+    const file = `${RECORDS_DIRNAME}/${component}/${version}/${lang}.${format}`;
+    fs.mkdirSync(path.join(outputDir, RECORDS_DIRNAME, component, version), { recursive: true });
+    fs.writeFileSync(
+      path.join(outputDir, file),
+      format === 'json' ? JSON.stringify(records) : records.map((record) => JSON.stringify(record) + '\n').join('')
+    );
+    files.push({ component, version, lang, file: file.slice(RECORDS_DIRNAME.length + 1), records: records.length });
+  }
+  const index = { schema: RECORDS_SCHEMA, format, generated: new Date().toISOString(), files };
+  fs.writeFileSync(path.join(outputDir, RECORDS_DIRNAME, RECORDS_INDEX_BASENAME), JSON.stringify(index, null, 2));
+  logger.info(`Exported ${files.reduce((sum, { records }) => sum + records, 0)} search records to ${files.length} ${format} files`);
+}
+
+// Gets the file with the payload: the input file, or the copy of the payload
+// kept by a previous run if the input file is the loader.
+function getPayloadFile(inputFile, outputDir) {
+  if (isPayloadFile(inputFile)) return inputFile;
+
+  const fallbackFile = path.join(outputDir, SOURCE_INDEX_BASENAME);
+  if (fs.existsSync(fallbackFile)) return fallbackFile;
 
   throw new Error(
     `Input file ${path.basename(inputFile)} does not contain an Antora search payload and no fallback payload was found at ${fallbackFile}`
   );
 }
 
-function buildOutputGroups(allDocs) {
+// Empties the output directory, keeps a copy of the payload in it and returns
+// the path of the copy.
+function resetOutputDir(outputDir, payloadFile) {
+  const sourceFile = path.join(outputDir, SOURCE_INDEX_BASENAME);
+  let keptFile;
+  if (path.resolve(payloadFile) === path.resolve(sourceFile)) {
+    keptFile = path.join(path.dirname(path.resolve(outputDir)), `.${path.basename(outputDir)}-${SOURCE_INDEX_BASENAME}`);
+    fs.renameSync(sourceFile, keptFile);
+  }
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  fs.mkdirSync(outputDir, { recursive: true });
+  if (keptFile) {
+    fs.renameSync(keptFile, sourceFile);
+  } else {
+    fs.copyFileSync(payloadFile, sourceFile);
+  }
+  return sourceFile;
+}
+
+// Gets the languages of DEFAULT_LANGS and of the 'language-data' attribute, a list of
+// { <lang>: [<entry>, ...] }. A language like ko has no locale pack, but its pages are indexed.
+function getDefaultLangs(languageData) {
+  const languageDataLangs = Array.isArray(languageData)
+    ? languageData.flatMap((langObj) => Object.keys(langObj || {}))
+    : [];
+  return [...new Set([...DEFAULT_LANGS, ...languageDataLangs])];
+}
+
+function getSkipReason({ component, version, lang }, supportedLangs) {
+  if (!component) return 'no component in the document or its URL';
+  if (!version) return 'no version in the document or its URL';
+  if (!lang) return 'no language in the document or its URL';
+  if (!supportedLangs.has(lang)) return `language ${lang} is not configured`;
+}
+
+function buildOutputGroups(allDocs, supportedLangs, skipped = []) {
   const groups = {};
 
   for (const [docId, doc] of Object.entries(allDocs)) {
-    const { component, version, lang } = parseDocMeta(doc);
-    if (!component || !version || !SUPPORTED_LANG_SET.has(lang)) continue;
+    const meta = parseDocMeta(doc);
+    const reason = getSkipReason(meta, supportedLangs);
+    if (reason) {
+      skipped.push({ id: docId, url: doc.url, title: doc.title, reason });
+      continue;
+    }
+    const { component, version, lang } = meta;
 
     if (!groups[component]) groups[component] = {};
     if (!groups[component][version]) groups[component][version] = {};
     if (!groups[component][version][lang]) {
       groups[component][version][lang] = {
-        documents: {},
         docIds: new Set(),
         componentVersionKeys: new Set(),
       };
     }
 
-    groups[component][version][lang].documents[docId] = doc;
     groups[component][version][lang].docIds.add(docId);
     groups[component][version][lang].componentVersionKeys.add(`${component}/${version}`);
   }
@@ -139,15 +910,15 @@ function buildComponentVersionAliases(componentVersions) {
     versionsByComponent[component].push({
       version,
       semver: parsedVersion,
-      prerelease: componentVersion.prerelease,
+      prerelease: isPrerelease(componentVersion),
     });
   }
 
   return Object.fromEntries(
     Object.entries(versionsByComponent).map(([component, versions]) => {
       const sortedVersions = [...versions].sort((a, b) => semver.rcompare(a.semver, b.semver));
-      const latestStable = sortedVersions.find((versionEntry) => versionEntry.prerelease === undefined);
-      const latestPrerelease = sortedVersions.find((versionEntry) => versionEntry.prerelease !== undefined);
+      const latestStable = sortedVersions.find((versionEntry) => !versionEntry.prerelease);
+      const latestPrerelease = sortedVersions.find((versionEntry) => versionEntry.prerelease);
 
       return [component, {
         [LATEST_ALIAS]: latestStable ? latestStable.version : undefined,
@@ -177,7 +948,7 @@ function getComponentVersionsByName(componentVersions) {
     if (!versionsByComponent[component]) versionsByComponent[component] = [];
     versionsByComponent[component].push({
       version,
-      prerelease: componentVersion.prerelease,
+      prerelease: isPrerelease(componentVersion),
     });
   }
 
@@ -195,7 +966,7 @@ function resolveAliasTargetVersion(component, targetVersion, componentVersionAli
   return [...indexedVersions][0];
 }
 
-function createVersionAlias(componentDir, aliasName, targetVersion) {
+function createVersionAlias(componentDir, aliasName, targetVersion, linkedAliases, logger) {
   if (!targetVersion || targetVersion === aliasName) return;
 
   const targetPath = path.join(componentDir, targetVersion);
@@ -213,10 +984,13 @@ function createVersionAlias(componentDir, aliasName, targetVersion) {
   }
 
   fs.symlinkSync(targetVersion, aliasPath, 'dir');
-  console.log(`Linked ${path.basename(componentDir)}/${aliasName} -> ${targetVersion}`);
+  const component = path.basename(componentDir);
+  if (!linkedAliases[component]) linkedAliases[component] = {};
+  linkedAliases[component][aliasName] = targetVersion;
+  logger.info(`Linked ${path.basename(componentDir)}/${aliasName} -> ${targetVersion}`);
 }
 
-function createMissingVersionAliases(outputDir, componentVersionsByName, componentVersionAliases, indexedVersionsByComponent) {
+function createMissingVersionAliases(outputDir, componentVersionsByName, componentVersionAliases, indexedVersionsByComponent, linkedAliases, logger) {
   for (const [component, versions] of Object.entries(componentVersionsByName)) {
     const componentDir = path.join(outputDir, component);
     const indexedVersions = indexedVersionsByComponent[component] || new Set();
@@ -225,12 +999,12 @@ function createMissingVersionAliases(outputDir, componentVersionsByName, compone
       if (indexedVersions.has(version)) continue;
 
       const resolvedTarget = resolveAliasTargetVersion(component, version, componentVersionAliases, indexedVersionsByComponent);
-      createVersionAlias(componentDir, version, resolvedTarget);
+      createVersionAlias(componentDir, version, resolvedTarget, linkedAliases, logger);
     }
   }
 }
 
-function createComponentVersionAliases(outputDir, groups, componentVersionAliases) {
+function createComponentVersionAliases(outputDir, groups, componentVersionAliases, linkedAliases, logger) {
   const indexedVersionsByComponent = buildIndexedVersionsByComponent(groups);
 
   for (const component of Object.keys(groups)) {
@@ -251,8 +1025,8 @@ function createComponentVersionAliases(outputDir, groups, componentVersionAliase
       indexedVersionsByComponent
     );
 
-    createVersionAlias(componentDir, LATEST_ALIAS, latestTarget);
-    createVersionAlias(componentDir, DEV_ALIAS, devTarget);
+    createVersionAlias(componentDir, LATEST_ALIAS, latestTarget, linkedAliases, logger);
+    createVersionAlias(componentDir, DEV_ALIAS, devTarget, linkedAliases, logger);
   }
 }
 
@@ -279,104 +1053,398 @@ function sortVersions(versions) {
   });
 }
 
-function buildRootLoader(targetLangs, versionMap) {
+function buildRootLoader(targetLangs, versionMap, manifest) {
   const langArray = JSON.stringify(targetLangs);
   const versionMapJson = JSON.stringify(versionMap);
-  return `// Auto-generated by split-search-index.js\n(function () {\n  var supported = new Set(${langArray});\n  var versionMap = ${versionMapJson};\n  var scriptUrl = (document.currentScript && document.currentScript.src) || '/search-index.js';\n  var scriptPathname = new URL(scriptUrl, window.location.href).pathname;\n  var pathname = window.location.pathname || '';\n  var basePath = scriptPathname.replace(/\\/search-index\\.js$/, '');\n  var relativePathname = pathname.indexOf(basePath + '/') === 0\n    ? pathname.slice(basePath.length)\n    : pathname;\n  var match = relativePathname.match(/^\\/([^/]+)\\/([^/]+)\\/([^/]+)\\//);\n  var component = match && match[1];\n  var version = match && match[2];\n  var lang = (match && match[3]) || 'en';\n\n  if (!component || !version) return;\n  if (!supported.has(lang)) lang = 'en';\n\n  function inject(componentName, versionName, langCode, usedFallbackVersion) {\n    var encodedComponent = encodeURIComponent(componentName);\n    var encodedVersion = encodeURIComponent(versionName);\n    var url = new URL('lang-indexes/' + encodedComponent + '/' + encodedVersion + '/search-index-' + langCode + '.js', scriptUrl).toString();\n    var s = document.createElement('script');\n    s.async = true;\n    s.src = url;\n    s.onerror = function () {\n      if (!usedFallbackVersion) {\n        var versions = versionMap[componentName] || [];\n        for (var i = 0; i < versions.length; i++) {\n          if (versions[i] !== versionName) {\n            inject(componentName, versions[i], langCode, true);\n            return;\n          }\n        }\n      }\n      if (langCode !== 'en') inject(componentName, versionName, 'en', usedFallbackVersion);\n    };\n    document.head.appendChild(s);\n  }\n\n  inject(component, version, lang, false);\n})();\n`;
-}
-
-function main() {
-  const [, , inputFile, outputDir] = process.argv;
-  if (!inputFile || !outputDir) {
-    console.error('Usage: node split-search-index.js <input-index.js> <output-dir>');
-    process.exit(1);
+  const manifestJson = JSON.stringify(manifest);
+  return `// Auto-generated by split-search-index.js
+(function () {
+  var supported = new Set(${langArray});
+  var versionMap = ${versionMapJson};
+  var manifest = ${manifestJson};
+  var scriptUrl = (document.currentScript && document.currentScript.src) || '/search-index.js';
+  var scriptPathname = new URL(scriptUrl, window.location.href).pathname;
+  var pathname = window.location.pathname || '';
+  var basePath = scriptPathname.replace(/\\/search-index\\.js$/, '');
+  var relativePathname = pathname.indexOf(basePath + '/') === 0
+    ? pathname.slice(basePath.length)
+    : pathname;
+  var match = relativePathname.match(/^\\/([^/]+)\\/([^/]+)\\/([^/]+)\\//);
+  var component = match && match[1];
+  var version = match && match[2];
+  var lang = (match && match[3]) || 'en';
+  var loadedShards = {};
+  var loadedScripts = {};
+
+  if (!supported.has(lang)) lang = 'en';
+
+  function getShard(componentName, versionName, langCode) {
+    var versions = manifest.shards[componentName] || {};
+    var aliases = manifest.aliases[componentName] || {};
+    var langs = versions[versionName] || versions[aliases[versionName]] || {};
+    return langs[langCode];
   }
 
-  let buffer = '';
-  const readStream = fs.createReadStream(inputFile, { encoding: 'utf8' });
-  readStream.on('data', (chunk) => {
-    buffer += chunk;
-  });
+  function getFileUrl(file) {
+    return new URL('lang-indexes/' + file.split('/').map(encodeURIComponent).join('/'), scriptUrl).toString();
+  }
 
-  readStream.on('end', () => {
-    let payloadBuffer;
-    let searchData;
-    try {
-      payloadBuffer = ensurePayloadBuffer(inputFile, outputDir, buffer);
-      searchData = parseSearchData(payloadBuffer);
-    } catch (err) {
-      console.error('Failed to parse searchData object:', err.message || err);
-      process.exit(1);
+  ${registerCjkPipeline}
+
+  function loadScript(file) {
+    if (!loadedScripts[file]) {
+      loadedScripts[file] = new Promise(function (resolve, reject) {
+        var s = document.createElement('script');
+        s.src = getFileUrl(file);
+        s.onload = resolve;
+        s.onerror = reject;
+        document.head.appendChild(s);
+      });
     }
+    return loadedScripts[file];
+  }
 
-    const { index, store } = searchData;
-    const allDocs = store.documents || {};
-
-    const groups = buildOutputGroups(allDocs);
-    const componentVersionAliases = buildComponentVersionAliases(store.componentVersions || {});
-    const componentVersionsByName = getComponentVersionsByName(store.componentVersions || {});
+  // Registers the search pipeline of a rebuilt language before its index is loaded
+  function loadPipeline(langCode) {
+    var pipeline = manifest.pipelines[langCode];
+    if (!pipeline) return Promise.resolve();
+    return pipeline.scripts
+      .reduce(function (loaded, file) {
+        return loaded.then(function () {
+          return loadScript(file);
+        });
+      }, Promise.resolve())
+      .then(function () {
+        if (pipeline.languages.indexOf('cjk') !== -1) registerCjkPipeline(window.lunr);
+      });
+  }
 
-    fs.rmSync(outputDir, { recursive: true, force: true });
-    fs.mkdirSync(outputDir, { recursive: true });
-    fs.writeFileSync(path.join(outputDir, SOURCE_INDEX_BASENAME), payloadBuffer);
+  // The shard of a component version in a language, else in English
+  function resolveShard(componentName, versionName, langCode) {
+    var shardLang = getShard(componentName, versionName, langCode) ? langCode : 'en';
+    var file = getShard(componentName, versionName, shardLang);
+    if (!file) return null;
+    var parts = file.split('/');
+    return { component: parts[0], version: parts[1], lang: shardLang, file: file };
+  }
 
-    for (const [component, versions] of Object.entries(groups)) {
-      const componentDir = path.join(outputDir, component);
-      fs.mkdirSync(componentDir, { recursive: true });
+  function getLatestVersion(componentName) {
+    return (manifest.aliases[componentName] || {}).latest || (versionMap[componentName] || [])[0];
+  }
 
-      for (const [version, langs] of Object.entries(versions)) {
-        const versionDir = path.join(componentDir, version);
-        fs.mkdirSync(versionDir, { recursive: true });
+  // Fetches a shard without initializing the search UI with it
+  function loadShard(shard) {
+    if (!loadedShards[shard.file]) {
+      loadedShards[shard.file] = fetch(getFileUrl(shard.file))
+        .then(function (response) {
+          if (!response.ok) throw new Error('Cannot load ' + shard.file + ' (' + response.status + ')');
+          return response.text();
+        })
+        .then(function (text) {
+          return loadPipeline(shard.lang).then(function () {
+            return text;
+          });
+        })
+        .then(function (text) {
+          var data = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+          return {
+            component: shard.component,
+            version: shard.version,
+            lang: shard.lang,
+            file: shard.file,
+            index: window.lunr.Index.load(data.index),
+            store: data.store,
+          };
+        });
+      loadedShards[shard.file].catch(function () {
+        delete loadedShards[shard.file];
+      });
+    }
+    return loadedShards[shard.file];
+  }
 
-        for (const [lang, group] of Object.entries(langs)) {
-          const keepDocs = group.documents;
-          const keepDocIds = group.docIds;
-          const keepComponentVersionKeys = group.componentVersionKeys;
+  // The shards of a search scope: 'version' (the current component version),
+  // 'versions' (all versions of the components), 'products' (the latest version
+  // of the components) or 'all' (all versions of the components). The components
+  // are the current one for 'version' and 'versions', else all of them.
+  function getScopeShards(options) {
+    var scope = options.scope || 'version';
+    var langCode = options.lang || lang;
+    var allVersions = scope === 'versions' || scope === 'all';
+    var components = options.components ||
+      (scope === 'products' || scope === 'all' ? Object.keys(versionMap) : [component]);
+    var shards = [];
+    var files = {};
+    components.forEach(function (componentName) {
+      var versions = options.versions ||
+        (allVersions ? versionMap[componentName] || [] : [componentName === component && scope === 'version' ? version : getLatestVersion(componentName)]);
+      versions.forEach(function (versionName) {
+        var shard = resolveShard(componentName, versionName, langCode);
+        if (shard && !files[shard.file]) {
+          files[shard.file] = true;
+          shards.push(shard);
+        }
+      });
+    });
+    return shards;
+  }
 
-          const filteredIndex = {
-            ...index,
-            fieldVectors: filterFieldVectors(index.fieldVectors || [], keepDocIds),
-            invertedIndex: filterInvertedIndex(index.invertedIndex || [], keepDocIds, index.fields || []),
-          };
+  function countFacet(facets, key, values) {
+    if (!facets[key]) {
+      facets[key] = values;
+      facets[key].count = 0;
+    }
+    facets[key].count++;
+  }
 
-          const filteredStore = {
-            ...store,
-            documents: keepDocs,
-            componentVersions: Object.fromEntries(
-              Object.entries(store.componentVersions || {}).filter(([key]) => keepComponentVersionKeys.has(key))
-            ),
-          };
+  // Searches the shards of a scope, loading them as needed. The results of all
+  // shards are merged, ordered by their score divided by the best score of
+  // their shard, as Lunr scores only compare within one index.
+  function search(query, options) {
+    options = options || {};
+    return Promise.all(getScopeShards(options).map(loadShard)).then(function (shards) {
+      var results = [];
+      var facets = { components: {}, versions: {} };
+      shards.forEach(function (shard) {
+        var hits;
+        try {
+          hits = shard.index.search(query);
+        } catch (err) {
+          if (!(err instanceof window.lunr.QueryParseError)) throw err;
+          hits = [];
+        }
+        var bestScore = hits.length ? hits[0].score : 0;
+        hits.forEach(function (hit) {
+          var doc = shard.store.documents[hit.ref.split('-')[0]];
+          if (!doc) return;
+          var componentVersion = shard.store.componentVersions[doc.component + '/' + doc.version] || {};
+          results.push({
+            ref: hit.ref,
+            score: hit.score,
+            normalizedScore: bestScore ? hit.score / bestScore : 0,
+            matchData: hit.matchData,
+            doc: doc,
+            component: shard.component,
+            version: shard.version,
+            lang: shard.lang,
+            title: componentVersion.title,
+            displayVersion: componentVersion.displayVersion,
+          });
+          countFacet(facets.components, shard.component, { title: componentVersion.title });
+          countFacet(facets.versions, shard.component + '/' + shard.version, {
+            component: shard.component,
+            version: shard.version,
+            displayVersion: componentVersion.displayVersion,
+          });
+        });
+      });
+      results.sort(function (a, b) {
+        return b.normalizedScore - a.normalizedScore || b.score - a.score;
+      });
+      return { query: query, results: results, facets: facets };
+    });
+  }
 
-          const out = `antoraSearch.initSearch(lunr, ${JSON.stringify({ index: filteredIndex, store: filteredStore })});\n`;
-          const outFile = path.join(versionDir, `search-index-${lang}.js`);
-          fs.writeFileSync(outFile, out);
-          console.log(`Wrote ${component}/${version}/search-index-${lang}.js (docs: ${Object.keys(keepDocs).length})`);
+  window.antoraSearchLoader = {
+    current: { component: component, version: version, lang: lang },
+    manifest: manifest,
+    versions: versionMap,
+    load: function (componentName, versionName, langCode) {
+      var shard = resolveShard(componentName, versionName, langCode || lang);
+      return shard ? loadShard(shard) : Promise.resolve(null);
+    },
+    search: search,
+  };
+
+  if (!component || !version) return;
+
+  function fallback(componentName, versionName, langCode, usedFallbackVersion) {
+    if (!usedFallbackVersion) {
+      var versions = versionMap[componentName] || [];
+      for (var i = 0; i < versions.length; i++) {
+        if (versions[i] !== versionName) {
+          inject(componentName, versions[i], langCode, true);
+          return;
         }
       }
     }
+    if (langCode !== 'en') inject(componentName, versionName, 'en', usedFallbackVersion);
+  }
+
+  function inject(componentName, versionName, langCode, usedFallbackVersion) {
+    var file = getShard(componentName, versionName, langCode);
+    if (!file) {
+      fallback(componentName, versionName, langCode, usedFallbackVersion);
+      return;
+    }
+    loadPipeline(langCode).then(function () {
+      var s = document.createElement('script');
+      s.async = true;
+      s.src = getFileUrl(file);
+      s.onerror = function () {
+        fallback(componentName, versionName, langCode, usedFallbackVersion);
+      };
+      document.head.appendChild(s);
+    }, function () {
+      fallback(componentName, versionName, langCode, usedFallbackVersion);
+    });
+  }
+
+  inject(component, version, lang, false);
+})();
+`;
+}
+
+// Splits inputFile into outputDir and replaces inputFile with the loader.
+// Returns the documents that were skipped, as { id, url, title, reason }.
+async function splitSearchIndex(inputFile, outputDir, {
+  languages = DEFAULT_LANGS,
+  compress = true,
+  rebuild = false,
+  records = false,
+  productTitles = {},
+  logger = console,
+} = {}) {
+  const recordsFormat = getRecordsFormat(records);
+  const payloadFile = getPayloadFile(inputFile, outputDir);
+  let searchData;
+  try {
+    searchData = await readSearchStore(payloadFile);
+  } catch (err) {
+    throw new Error(`Failed to parse searchData object: ${err.message || err}`);
+  }
+
+  const skipped = [];
+  const groups = buildOutputGroups(searchData.documents, new Set(languages), skipped);
+  const componentVersionAliases = buildComponentVersionAliases(searchData.componentVersions);
+  const componentVersionsByName = getComponentVersionsByName(searchData.componentVersions);
+
+  const sourceFile = resetOutputDir(outputDir, payloadFile);
+  const shards = await writeShards(sourceFile, outputDir, groups, searchData.fields, logger);
+  const pipelines = getRebuildPipelines(rebuild, languages, outputDir, logger);
+  for (const shard of shards) {
+    const { component, version, lang } = shard;
+    const shardFile = path.join(outputDir, component, version, `search-index-${lang}.js`);
+    if (pipelines[lang]) shard.hash = rebuildShard(shardFile, pipelines[lang].plugin, searchData.fields);
+    shard.file = `${component}/${version}/search-index-${lang}.${shard.hash}.js`;
+    fs.renameSync(shardFile, path.join(outputDir, shard.file));
+    logger.info(`Wrote ${shard.file} (docs: ${shard.docs}${pipelines[lang] ? `, ${pipelines[lang].languages.join('/')} pipeline` : ''})`);
+  }
+  if (compress) {
+    for (const { file } of shards) await compressShard(path.join(outputDir, file));
+    logger.info(`Compressed ${shards.length} search index files`);
+  }
 
-    createMissingVersionAliases(
-      outputDir,
-      componentVersionsByName,
+  const linkedAliases = {};
+  createMissingVersionAliases(
+    outputDir,
+    componentVersionsByName,
+    componentVersionAliases,
+    buildIndexedVersionsByComponent(groups),
+    linkedAliases,
+    logger
+  );
+  createComponentVersionAliases(outputDir, groups, componentVersionAliases, linkedAliases, logger);
+  const manifest = buildManifest(shards, linkedAliases, pipelines);
+  fs.writeFileSync(path.join(outputDir, MANIFEST_BASENAME), JSON.stringify(manifest, null, 2));
+  if (recordsFormat) {
+    exportSearchRecords(outputDir, shards, {
+      format: recordsFormat,
+      productTitles,
       componentVersionAliases,
-      buildIndexedVersionsByComponent(groups)
-    );
-    createComponentVersionAliases(outputDir, groups, componentVersionAliases);
+      logger,
+    });
+  }
+
+  // Keep the HTML <script src=".../search-index.js"> references unchanged.
+  // The root file becomes a tiny loader that picks the right component/version/language index file.
+  const versionMap = {};
+  for (const [component, versions] of Object.entries(groups)) {
+    versionMap[component] = sortVersions(Object.keys(versions));
+  }
+  fs.writeFileSync(inputFile, buildRootLoader(languages, versionMap, manifest));
+  logger.info(`Replaced ${path.basename(inputFile)} with language loader`);
+
+  for (const { url, id, reason } of skipped) {
+    logger.warn(`Skipped search document ${url || id}: ${reason}`);
+  }
+  if (skipped.length) {
+    logger.warn(`Skipped ${skipped.length} of ${Object.keys(searchData.documents).length} search documents`);
+  }
+  return skipped;
+}
+
+module.exports.register = function ({ config = {} } = {}) {
+  const logger = this.getLogger('split-search-index');
 
-    // Keep the HTML <script src=".../search-index.js"> references unchanged.
-    // The root file becomes a tiny loader that picks the right component/version/language index file.
-    const versionMap = {};
-    for (const [component, versions] of Object.entries(groups)) {
-      versionMap[component] = sortVersions(Object.keys(versions));
+  this.on('sitePublished', async ({ playbook, siteAsciiDocConfig }) => {
+    const siteDir = path.resolve(playbook.dir || '.', (playbook.output && playbook.output.dir) || 'build/site');
+    const inputFile = path.join(siteDir, SEARCH_INDEX_BASENAME);
+    if (!fs.existsSync(inputFile)) {
+      logger.warn(`No ${SEARCH_INDEX_BASENAME} in ${siteDir}, is @antora/lunr-extension registered before this extension?`);
+      return;
     }
-    fs.writeFileSync(inputFile, buildRootLoader(TARGET_LANGS, versionMap));
-    console.log(`Replaced ${path.basename(inputFile)} with language loader`);
+    const attributes = (siteAsciiDocConfig && siteAsciiDocConfig.attributes) || {};
+    const languages = config.languages || getDefaultLangs(attributes[LANGUAGE_DATA_KEY]);
+    logger.info(`Splitting ${SEARCH_INDEX_BASENAME} for the languages ${languages.join(', ')}`);
+    await splitSearchIndex(inputFile, path.join(siteDir, OUTPUT_DIRNAME), {
+      languages,
+      compress: config.compress !== false,
+      rebuild: config.rebuild || false,
+      records: config.records || false,
+      productTitles: getProductTitles(attributes[PROJECT_DATA_KEY]),
+      logger,
+    });
   });
+};
+
+module.exports.splitSearchIndex = splitSearchIndex;
+module.exports.createJsonScanner = createJsonScanner;
 
-  readStream.on('error', (err) => {
-    console.error('Failed to read input file:', err);
+function main() {
+  const args = process.argv.slice(2);
+  let languages;
+  let attributesFile;
+  let compress = true;
+  let rebuild = false;
+  let records = false;
+  let productTitles = {};
+  const files = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--languages') {
+      languages = String(args[++i] || '').split(',').map((lang) => lang.trim()).filter(Boolean);
+    } else if (args[i] === '--rebuild') {
+      const langs = String(args[++i] || '').split(',').map((lang) => lang.trim()).filter(Boolean);
+      rebuild = langs.includes('all') || !langs.length ? true : langs;
+    } else if (args[i] === '--records') {
+      records = args[++i];
+    } else if (args[i] === '--no-compress') {
+      compress = false;
+    } else if (args[i] === '--attributes') {
+      attributesFile = args[++i];
+    } else {
+      files.push(args[i]);
+    }
+  }
+  if (attributesFile) {
+    const yaml = require('js-yaml');
+    const attributes = yaml.load(fs.readFileSync(attributesFile, 'utf8')) || {};
+    languages = languages || getDefaultLangs(attributes[LANGUAGE_DATA_KEY]);
+    productTitles = getProductTitles(attributes[PROJECT_DATA_KEY]);
+  }
+  languages = languages || DEFAULT_LANGS;
+  const [inputFile, outputDir] = files;
+  if (!inputFile || !outputDir || !languages.length) {
+    console.error('Usage: node split-search-index.js [--languages <lang,...>] [--attributes <file>] [--rebuild all|<lang,...>] [--records ndjson|json] [--no-compress] <input-index.js> <output-dir>');
+    process.exit(1);
+  }
+
+  splitSearchIndex(inputFile, outputDir, { languages, compress, rebuild, records, productTitles }).catch((err) => {
+    console.error(err.message || err);
     process.exit(1);
   });
 }
 
-main();
+if (require.main === module) {
+  main();
+}
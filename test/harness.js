@@ -0,0 +1,123 @@
+'use strict'
+
+// Stand-ins for the parts of Antora the extensions use: the generator context, with the
+// listeners called and awaited in order like Antora does, and a content catalog built from
+// plain file objects.
+const EventEmitter = require('events')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+class GeneratorContext extends EventEmitter {
+  constructor () {
+    super()
+    this.messages = []
+    this.variables = {}
+    this.stopped = false
+  }
+
+  getLogger (name) {
+    const toString = (arg) => (arg instanceof Error ? arg.message : arg)
+    const log = (level) => (...args) =>
+      this.messages.push({ name, level, message: args.map(toString).filter((arg) => typeof arg === 'string').join(' ') })
+    return { debug: log('debug'), info: log('info'), warn: log('warn'), error: log('error') }
+  }
+
+  getVariables () {
+    return this.variables
+  }
+
+  updateVariables (updates) {
+    Object.assign(this.variables, updates)
+  }
+
+  stop () {
+    this.stopped = true
+  }
+
+  async notify (eventName, vars = {}) {
+    for (const listener of this.rawListeners(eventName)) await listener.call(this, vars)
+  }
+
+  // Registers the extensions in playbook order, each as an entry { extension, config }
+  static create (...entries) {
+    const context = new GeneratorContext()
+    entries.forEach(({ extension, config = {} }) => extension.register.call(context, { config }))
+    return context
+  }
+}
+
+// A page, image or attachment, the URL is derived from the src unless given
+function createFile ({ component, version, module = 'en', family = 'page', relative, contents = '', url, out = true, attributes }) {
+  const extname = path.extname(relative)
+  const dirs = { page: '', image: '_images/', attachment: '_attachments/' }
+  const outRelative = family === 'page' ? relative.slice(0, -extname.length) + '.html' : dirs[family] + relative
+  const pubUrl = url || `/${component}/${version}/${module}/${outRelative}`
+  const file = {
+    contents: Buffer.from(contents),
+    src: {
+      component,
+      version,
+      module,
+      family,
+      relative,
+      basename: path.basename(relative),
+      extname,
+      path: `modules/${module}/${family === 'page' ? 'pages' : family + 's'}/${relative}`,
+      mediaType: extname === '.adoc' ? 'text/asciidoc' : undefined,
+    },
+    pub: { url: pubUrl },
+  }
+  if (out) file.out = { path: pubUrl.slice(1).replace(/\/$/, '/index.html'), dirname: path.posix.dirname(pubUrl.slice(1) + (pubUrl.endsWith('/') ? 'index.html' : '')) }
+  if (attributes) file.asciidoc = { attributes }
+  return file
+}
+
+function createContentCatalog (components, files = []) {
+  files = files.slice()
+  const matches = (file, criteria) =>
+    Object.entries(criteria).every(([key, value]) => (key in file.src ? file.src[key] : file[key]) === value)
+  return {
+    getComponents: () => components,
+    getComponent: (name) => components.find((component) => component.name === name),
+    getFiles: () => files,
+    findBy: (criteria) => files.filter((file) => matches(file, criteria)),
+    getPages: (filter = () => true) => files.filter((file) => file.src.family === 'page' && filter(file)),
+    getById: (id) => files.find((file) => matches(file, id)),
+    removeFile: (file) => files.includes(file) && !!files.splice(files.indexOf(file), 1),
+    // Only takes a full page ID, version@component:module:relative, and throws like Antora on a duplicate
+    registerPageAlias (spec, target) {
+      const [, version, component, module, relative] = spec.match(/^(.*?)@(.*?):(.*?):(.*)$/)
+      const src = { component, version, module, family: 'alias', relative }
+      if (files.some((file) => matches(file, src))) throw new Error(`Duplicate alias: ${spec}`)
+      const alias = { src, rel: target, pub: { url: `/${component}/${version}/${module}/${relative.replace(/\.adoc$/, '.html')}` } }
+      files.push(alias)
+      return alias
+    },
+  }
+}
+
+// A component as listed by getComponents, with the versions as { version, prerelease, ... }
+function createComponent (name, versions) {
+  const componentVersions = versions.map((version) => ({ name, title: name, displayVersion: version.version, ...version }))
+  const latest = componentVersions.find((version) => !version.prerelease) || componentVersions[0]
+  return { name, title: name, latest, versions: componentVersions }
+}
+
+function createSiteCatalog () {
+  const files = []
+  return { getFiles: () => files, addFile: (file) => files.push(file) }
+}
+
+function createTempDir () {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ext-test-'))
+}
+
+module.exports = {
+  GeneratorContext,
+  createFile,
+  createContentCatalog,
+  createComponent,
+  createSiteCatalog,
+  createTempDir,
+}
@@ -0,0 +1,113 @@
+'use strict'
+
+const assert = require('node:assert')
+const fs = require('node:fs')
+const path = require('node:path')
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const { GeneratorContext, createTempDir } = require('./harness.js')
+const {
+  loadLanguageSource,
+  buildLocalePacks,
+  normalizeLanguageFallbacks,
+  getFallbackChain,
+  resolveLanguageEntries,
+  checkLocalePacks,
+} = require('../extensions/versions-latest-prerelease/language-packs.js')
+
+describe('language-packs.js', () => {
+  const logger = new GeneratorContext().getLogger('vlp')
+  const packs = buildLocalePacks([
+    { en: [':note-caption: Note', ':tip-caption: Tip', ':toc-title: Table of Contents'] },
+    { pt: [':note-caption: Nota', ':tip-caption: Dica', ':toc-title: Índice'] },
+    { pt_br: [':toc-title: Sumário'] },
+    { de: [':note-caption: Anmerkung'] },
+  ], logger)
+
+  describe('getFallbackChain', () => {
+    it('falls back from a regional language to its language, then to the default language', () => {
+      assert.deepStrictEqual(getFallbackChain('pt_br'), ['pt_br', 'pt', 'en'])
+      assert.deepStrictEqual(getFallbackChain('de'), ['de', 'en'])
+      assert.deepStrictEqual(getFallbackChain('en'), ['en'])
+      assert.deepStrictEqual(getFallbackChain('pt_br', {}, 'de'), ['pt_br', 'pt', 'de'])
+    })
+
+    it('follows the configured chains, once per language', () => {
+      const fallbacks = normalizeLanguageFallbacks([['zh_tw', 'zh_cn'], ['zh_cn', 'zh', 'zh_tw']])
+      assert.deepStrictEqual(getFallbackChain('zh_tw', fallbacks), ['zh_tw', 'zh_cn', 'zh', 'en'])
+      assert.throws(() => normalizeLanguageFallbacks({ pt_br: 'pt' }), /must be a list of language lists/)
+      assert.throws(() => normalizeLanguageFallbacks([[]]), /Invalid language-fallbacks chain: \[\]/)
+    })
+  })
+
+  describe('resolveLanguageEntries', () => {
+    it('takes each entry from the first pack of the chain defining it', () => {
+      assert.deepStrictEqual(resolveLanguageEntries('pt_br', packs, {}, 'en'), [
+        ':toc-title: Sumário',
+        ':note-caption: Nota',
+        ':tip-caption: Dica',
+      ])
+      assert.deepStrictEqual(resolveLanguageEntries('fr', packs, {}, 'en'), [
+        ':note-caption: Note',
+        ':tip-caption: Tip',
+        ':toc-title: Table of Contents',
+      ])
+    })
+
+    it('ignores the entries that are no attribute entries', () => {
+      const context = new GeneratorContext()
+      const mixed = buildLocalePacks([{ fr: [':note-caption: Remarque', 'note-caption: Note', 42] }], context.getLogger('vlp'))
+      assert.deepStrictEqual(resolveLanguageEntries('fr', mixed, {}, 'en'), [':note-caption: Remarque'])
+      assert.deepStrictEqual(context.messages.map(({ message }) => message), [
+        'Ignoring language-data entry of fr, not an attribute entry: note-caption: Note',
+        'Ignoring language-data entry of fr, not an attribute entry: 42',
+      ])
+    })
+  })
+
+  describe('checkLocalePacks', () => {
+    it('lists the entries of the default language a pack lacks, even through its chain', () => {
+      assert.deepStrictEqual(checkLocalePacks(packs, {}, 'en'), [
+        { lang: 'de', missing: ['tip-caption', 'toc-title'] },
+      ])
+      assert.deepStrictEqual(checkLocalePacks(packs, { pt_br: [] }, 'en'), [
+        { lang: 'pt_br', missing: ['note-caption', 'tip-caption'] },
+        { lang: 'de', missing: ['tip-caption', 'toc-title'] },
+      ])
+      assert.deepStrictEqual(checkLocalePacks(packs, {}, 'fr'), [])
+    })
+  })
+
+  describe('loadLanguageSource', () => {
+    let dir
+
+    beforeEach(() => {
+      dir = createTempDir()
+      fs.writeFileSync(path.join(dir, 'languages.yml'), "language-data:\n  - en:\n      - ':note-caption: Note'\n")
+    })
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('loads a file with load-global-site-attributes.js', async () => {
+      const playbook = { dir, runtime: { cacheDir: dir } }
+      assert.strictEqual(await loadLanguageSource('attributes', playbook, logger), undefined)
+      assert.deepStrictEqual(await loadLanguageSource('languages.yml', playbook, logger), [{ en: [':note-caption: Note'] }])
+    })
+
+    it('uses the configured loader, relative to the playbook', async () => {
+      fs.writeFileSync(path.join(dir, 'loader.js'), `
+        module.exports.get_load_settings = () => ({})
+        module.exports.load_attribute_file = async (file) => ({ 'language-data': [{ loaded: [file] }] })
+      `)
+      const languageData = await loadLanguageSource('languages.yml', { dir }, logger, './loader.js')
+      assert.deepStrictEqual(languageData, [{ loaded: [path.join(dir, 'languages.yml')] }])
+    })
+
+    it('names the missing loader', async () => {
+      await assert.rejects(loadLanguageSource('languages.yml', { dir }, logger, './ext/missing.js'), {
+        message: `[vlp.js] language-source languages.yml needs load-global-site-attributes.js, not found at ${path.join(dir, 'ext/missing.js')}, set language-loader to its path`,
+      })
+    })
+  })
+})
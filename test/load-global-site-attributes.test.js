@@ -0,0 +1,306 @@
+'use strict'
+
+const assert = require('node:assert')
+const fs = require('node:fs')
+const http = require('node:http')
+const path = require('node:path')
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const { GeneratorContext, createFile, createContentCatalog, createComponent, createTempDir } = require('./harness.js')
+const loadGlobalSiteAttributes = require('../extensions/dynamic-loading-attributes/load-global-site-attributes.js')
+
+describe('load-global-site-attributes.js', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = createTempDir()
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  const writeFile = (name, contents) => {
+    const file = path.join(dir, name)
+    fs.writeFileSync(file, contents)
+    return file
+  }
+
+  const run = async (config, attributes = {}) => {
+    const context = GeneratorContext.create({ extension: loadGlobalSiteAttributes, config })
+    const playbook = { asciidoc: { attributes } }
+    await context.notify('playbookBuilt', { playbook })
+    return { context, playbook }
+  }
+
+  it('merges the files in the order listed, the playbook wins', async () => {
+    const first = writeFile('first.yml', 'product: Rancher\nversion: v2.12\nedition: community\n')
+    const second = writeFile('second.yml', 'version: v2.13\n')
+    const { context, playbook } = await run({ attributefile: first, attributefiles: [second] }, { edition: 'prime' })
+
+    assert.deepStrictEqual(playbook.asciidoc.attributes, { product: 'Rancher', version: 'v2.13', edition: 'prime' })
+    assert.strictEqual(context.stopped, false)
+  })
+
+  it('stops on a file that cannot be loaded', async () => {
+    const { context } = await run({ attributefiles: [path.join(dir, 'missing.yml')] })
+
+    assert.strictEqual(context.stopped, true)
+    assert.strictEqual(context.messages[0].level, 'error')
+  })
+
+  it('stops on a file that does not match the schema', async () => {
+    const file = writeFile('global.yml', 'rancher-product-name: Rancher\nnested:\n  key: value\n')
+    const { context } = await run({ attributefile: file })
+
+    assert.strictEqual(context.stopped, true)
+    assert.match(context.messages[0].message, /global\.yml:2: nested: attributes must have a scalar value/)
+  })
+
+  it('only warns about schema errors with validate: warn', async () => {
+    const file = writeFile('global.yml', 'nested:\n  key: value\n')
+    const { context, playbook } = await run({ attributefile: file, validate: 'warn' })
+
+    assert.strictEqual(context.stopped, false)
+    assert.deepStrictEqual(playbook.asciidoc.attributes, { nested: { key: 'value' } })
+    assert.strictEqual(context.messages[0].level, 'warn')
+  })
+
+  describe('scoped files', () => {
+    // the site attributes as collated by Antora from the playbook, a component version without
+    // an asciidoc config of its own shares the site one
+    const classify = async (context, playbook, versions) => {
+      const siteAsciiDocConfig = { attributes: { ...playbook.asciidoc.attributes } }
+      const component = createComponent('rancher', versions)
+      await context.notify('contentClassified', { siteAsciiDocConfig, contentCatalog: createContentCatalog([component]) })
+      return { siteAsciiDocConfig, component }
+    }
+
+    it('applies a scoped file only to the listed components', async () => {
+      const scoped = writeFile('scoped.yml', 'product: Rancher Manager\n')
+      const { context, playbook } = await run({ attributefiles: [{ file: scoped, components: ['rancher'] }] })
+      const siteAsciiDocConfig = { attributes: {} }
+      const components = [createComponent('rancher', [{ version: 'v2.13' }]), createComponent('fleet', [{ version: 'v0.13' }])]
+      await context.notify('contentClassified', { siteAsciiDocConfig, contentCatalog: createContentCatalog(components) })
+
+      assert.deepStrictEqual(playbook.asciidoc.attributes, {})
+      assert.deepStrictEqual(components[0].versions[0].asciidoc.attributes, { product: 'Rancher Manager' })
+      assert.strictEqual(components[1].versions[0].asciidoc, undefined)
+      assert.deepStrictEqual(siteAsciiDocConfig.attributes, {})
+    })
+
+    it('keeps an attribute set in antora.yml', async () => {
+      const scoped = writeFile('scoped.yml', 'product: Rancher Manager\nedition: prime\n')
+      const { context, playbook } = await run({ attributefiles: [{ file: scoped, components: 'rancher' }] })
+      const { component } = await classify(context, playbook, [
+        { version: 'v2.13', asciidoc: { attributes: { product: 'Rancher' } } },
+      ])
+
+      assert.deepStrictEqual(component.versions[0].asciidoc.attributes, { product: 'Rancher', edition: 'prime' })
+    })
+
+    it('keeps a playbook attribute', async () => {
+      const scoped = writeFile('scoped.yml', 'product: Rancher Manager\n')
+      const { context, playbook } = await run({ attributefiles: [{ file: scoped, components: ['rancher'] }] }, { product: 'Rancher' })
+      const { component } = await classify(context, playbook, [{ version: 'v2.13' }])
+
+      assert.deepStrictEqual(component.versions[0].asciidoc.attributes, { product: 'Rancher' })
+    })
+
+    it('overrides a soft set playbook attribute', async () => {
+      const scoped = writeFile('scoped.yml', 'product: Rancher Manager\nedition: prime\n')
+      const { context, playbook } = await run(
+        { attributefiles: [{ file: scoped, components: ['rancher'] }] },
+        { product: 'Rancher@', edition: false }
+      )
+      const { siteAsciiDocConfig, component } = await classify(context, playbook, [{ version: 'v2.13' }])
+
+      assert.deepStrictEqual(component.versions[0].asciidoc.attributes, { product: 'Rancher Manager', edition: 'prime' })
+      assert.deepStrictEqual(siteAsciiDocConfig.attributes, { product: 'Rancher@', edition: false })
+    })
+  })
+
+  describe('usage report', () => {
+    const source = [
+      '= Install',
+      ':local-attr: set in the page',
+      '',
+      '{product} {local-attr} {nbsp} {missing}',
+      '',
+      '----',
+      '{in-listing}',
+      '----',
+      '// {in-comment}',
+      '{missing}',
+      '',
+    ].join('\n')
+
+    const classify = async (usageReport) => {
+      const file = writeFile('global.yml', 'product: Rancher\nunused-attr: x\noverride: global\n')
+      const { context, playbook } = await run({ attributefile: file, usageReport }, { override: 'local' })
+      playbook.dir = dir
+      const component = createComponent('rancher', [{ version: 'v2.13' }])
+      const page = createFile({ component: 'rancher', version: 'v2.13', relative: 'install.adoc', contents: source })
+      const siteAsciiDocConfig = { attributes: { ...playbook.asciidoc.attributes } }
+      const contentCatalog = createContentCatalog([component], [page])
+      return { context, run: () => context.notify('contentClassified', { playbook, siteAsciiDocConfig, contentCatalog }) }
+    }
+
+    it('reports undefined, unused and overridden attributes', async () => {
+      const { context, run } = await classify({ file: 'report.json' })
+      await run()
+      const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'))
+
+      assert.deepStrictEqual(report.undefined, [
+        {
+          name: 'missing',
+          references: [
+            { component: 'rancher', version: 'v2.13', path: 'modules/en/pages/install.adoc', line: 4 },
+            { component: 'rancher', version: 'v2.13', path: 'modules/en/pages/install.adoc', line: 10 },
+          ],
+        },
+      ])
+      assert.deepStrictEqual(report.unused.map(({ name }) => name), ['override', 'unused-attr'])
+      assert.deepStrictEqual(report.overridden, [
+        { name: 'override', file: path.join(dir, 'global.yml'), global: 'global', local: 'local' },
+      ])
+      assert.match(context.messages.find(({ level }) => level === 'warn').message, /undefined attribute \{missing\} referenced 2 time\(s\)/)
+    })
+
+    it('fails on an undefined attribute with failOnUndefined', async () => {
+      const { run } = await classify({ file: 'report.json', failOnUndefined: true })
+
+      await assert.rejects(run(), /1 undefined attribute\(s\) referenced/)
+      assert.ok(fs.existsSync(path.join(dir, 'report.json')))
+    })
+
+    it('does not fail on an ignored attribute', async () => {
+      const { run } = await classify({ file: 'report.json', failOnUndefined: true, ignore: ['missing'] })
+
+      await assert.doesNotReject(run())
+    })
+  })
+
+  it('writes the provenance of each attribute', async () => {
+    const global = writeFile('global.yml', 'product: Rancher\nedition: community\nsoft: file\n')
+    const scoped = writeFile('scoped.yml', 'product: Rancher Manager\nsoft: scoped\n')
+    const { context, playbook } = await run(
+      { attributefiles: [global, { file: scoped, components: ['rancher'] }], provenance: { file: 'provenance.json' } },
+      { edition: 'prime', soft: 'playbook@' }
+    )
+    playbook.dir = dir
+    const siteAsciiDocConfig = { attributes: { ...playbook.asciidoc.attributes, 'site-title': 'Docs' } }
+    const component = createComponent('rancher', [
+      { version: 'v2.13', asciidoc: { attributes: { ...siteAsciiDocConfig.attributes, 'rancher-version': 'v2.13' } } },
+    ])
+    await context.notify('contentClassified', { playbook, siteAsciiDocConfig, contentCatalog: createContentCatalog([component]) })
+    const provenance = JSON.parse(fs.readFileSync(path.join(dir, 'provenance.json'), 'utf8'))
+
+    assert.deepStrictEqual(provenance.components.rancher['v2.13'], {
+      edition: { value: 'prime', source: 'playbook', overrides: [{ source: 'file', file: global, value: 'community' }] },
+      product: { value: 'Rancher Manager', source: 'scoped-file', file: scoped, overrides: [{ source: 'file', file: global, value: 'Rancher' }] },
+      'rancher-version': { value: 'v2.13', source: 'antora.yml' },
+      'site-title': { value: 'Docs', source: 'antora' },
+      soft: {
+        value: 'scoped',
+        source: 'scoped-file',
+        file: scoped,
+        overrides: [{ source: 'playbook', value: 'playbook@' }, { source: 'file', file: global, value: 'file' }],
+      },
+    })
+  })
+
+  describe('remote files', () => {
+    let server
+    let requests
+    let handler
+
+    beforeEach(async () => {
+      requests = []
+      server = http.createServer((req, res) => {
+        requests.push(req)
+        handler(req, res)
+      })
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    })
+
+    afterEach(async () => {
+      server.closeAllConnections()
+      await new Promise((resolve) => server.close(resolve))
+    })
+
+    const url = (pathname = '/global-attributes.yml') => `http://127.0.0.1:${server.address().port}${pathname}`
+    const remote = (config = {}) => ({ attributefile: url(), cachedir: path.join(dir, 'cache'), retries: 0, ...config })
+
+    it('caches a file and revalidates it with the ETag', async () => {
+      handler = (req, res) => {
+        if (req.headers['if-none-match'] === '"v1"') return res.writeHead(304).end()
+        res.writeHead(200, { etag: '"v1"' }).end('product: Rancher\n')
+      }
+      const first = await run(remote())
+      const second = await run(remote())
+
+      assert.deepStrictEqual(first.playbook.asciidoc.attributes, { product: 'Rancher' })
+      assert.deepStrictEqual(second.playbook.asciidoc.attributes, { product: 'Rancher' })
+      assert.strictEqual(requests[0].headers['if-none-match'], undefined)
+      assert.strictEqual(requests[1].headers['if-none-match'], '"v1"')
+      assert.strictEqual(fs.readdirSync(path.join(dir, 'cache')).length, 2)
+    })
+
+    it('retries a server error', async () => {
+      handler = (req, res) => {
+        if (requests.length === 1) return res.writeHead(500).end()
+        res.writeHead(200).end('product: Rancher\n')
+      }
+      const { context, playbook } = await run(remote({ retries: 1 }))
+
+      assert.strictEqual(requests.length, 2)
+      assert.deepStrictEqual(playbook.asciidoc.attributes, { product: 'Rancher' })
+      assert.match(context.messages[0].message, /Status Code: 500\n.*\nretry 1 of 1/)
+    })
+
+    it('does not retry a client error', async () => {
+      handler = (req, res) => res.writeHead(404).end()
+      const { context } = await run(remote({ retries: 2 }))
+
+      assert.strictEqual(requests.length, 1)
+      assert.strictEqual(context.stopped, true)
+    })
+
+    it('uses the cached copy if the server fails', async () => {
+      handler = (req, res) => res.writeHead(200).end('product: Rancher\n')
+      await run(remote())
+      handler = (req, res) => res.writeHead(503).end()
+      const { context, playbook } = await run(remote())
+
+      assert.deepStrictEqual(playbook.asciidoc.attributes, { product: 'Rancher' })
+      assert.strictEqual(context.stopped, false)
+      assert.match(context.messages[0].message, /using the cached copy/)
+    })
+
+    it('makes no request when offline', async () => {
+      handler = (req, res) => res.writeHead(200).end('product: Rancher\n')
+      const uncached = await run(remote({ offline: true }))
+      await run(remote())
+      const { playbook } = await run(remote({ offline: true }))
+
+      assert.strictEqual(uncached.context.stopped, true)
+      assert.strictEqual(requests.length, 1)
+      assert.deepStrictEqual(playbook.asciidoc.attributes, { product: 'Rancher' })
+    })
+
+    it('times out a download that keeps sending, redirects included', async () => {
+      handler = (req, res) => {
+        if (req.url === '/moved') return setTimeout(() => res.writeHead(302, { location: '/global-attributes.yml' }).end(), 100)
+        res.writeHead(200)
+        const trickle = setInterval(() => res.write('# still loading\n'), 20)
+        res.on('close', () => clearInterval(trickle))
+      }
+      const start = Date.now()
+      const { context } = await run(remote({ attributefile: url('/moved'), timeout: 300 }))
+
+      assert.ok(Date.now() - start < 1000)
+      assert.strictEqual(context.stopped, true)
+      assert.match(context.messages[0].message, /Timeout after 300 ms/)
+    })
+  })
+})
@@ -0,0 +1,459 @@
+'use strict'
+
+const assert = require('node:assert')
+const { spawnSync } = require('node:child_process')
+const crypto = require('node:crypto')
+const fs = require('node:fs')
+const path = require('node:path')
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const lunr = require('lunr')
+const vm = require('node:vm')
+const zlib = require('node:zlib')
+const { GeneratorContext, createTempDir } = require('./harness.js')
+const splitSearchIndexExtension = require('../jscript/split-search-index.js')
+
+const { createJsonScanner } = splitSearchIndexExtension
+
+const SCRIPT = path.resolve(__dirname, '../jscript/split-search-index.js')
+
+// A search index of @antora/lunr-extension with a document per language and indexed version,
+// v2.13 is a stable version with prerelease: false, v2.14 a prerelease
+function writeSearchIndex (file, langs, indexedVersions = ['v2.12']) {
+  const urls = indexedVersions.flatMap((version) => langs.map((lang) => `/prod/${version}/${lang}/install.html`))
+  const documents = Object.fromEntries(urls.map((url, id) => [id, { id, title: 'Install', url }]))
+  const componentVersions = Object.fromEntries(['v2.12', 'v2.13', 'v2.14'].map((version) =>
+    [`prod/${version}`, { name: 'prod', version, prerelease: version === 'v2.14' ? 'RC' : version === 'v2.12' ? undefined : false }]))
+  const index = {
+    fields: ['title'],
+    fieldVectors: urls.map((url, id) => [`title/${id}`, [0, 1]]),
+    invertedIndex: [['install', { _index: 0, title: Object.fromEntries(urls.map((url, id) => [id, {}])) }]],
+    pipeline: ['stemmer'],
+  }
+  fs.writeFileSync(file, `antoraSearch.initSearch(lunr, ${JSON.stringify({ index, store: { documents, componentVersions } })});\n`)
+}
+
+// Runs the loader of siteDir on a page of the site, with a Lunr that scores the documents of a shard
+// in the order of its field vectors
+function runLoader (siteDir, pathname) {
+  const origin = 'https://docs.example.com'
+  const scripts = []
+  const window = {
+    location: { href: origin + pathname, pathname },
+    lunr: {
+      Index: {
+        load: ({ fieldVectors }) => ({
+          search: () => fieldVectors.map(([ref], i) => ({ ref: ref.split('/')[1], score: 2 / (i + 1), matchData: {} })),
+        }),
+      },
+      QueryParseError: class extends Error {},
+    },
+  }
+  const document = {
+    currentScript: { src: `${origin}/search-index.js` },
+    createElement: () => ({}),
+    head: { appendChild: (script) => scripts.push(script.src.slice(origin.length)) },
+  }
+  const fetch = async (url) => {
+    const file = path.join(siteDir, decodeURIComponent(new URL(url).pathname))
+    if (!fs.existsSync(file)) return { ok: false, status: 404 }
+    return { ok: true, text: async () => fs.readFileSync(file, 'utf8') }
+  }
+  vm.runInNewContext(fs.readFileSync(path.join(siteDir, 'search-index.js'), 'utf8'), { window, document, fetch, URL })
+  return { loader: window.antoraSearchLoader, scripts }
+}
+
+// A search index like the one of @antora/lunr-extension, with the postings keeping the positions
+function writeLunrSearchIndex (file, documents) {
+  const store = {
+    documents: {},
+    componentVersions: { 'prod/v2.12': { name: 'prod', version: 'v2.12', title: 'Prod', displayVersion: 'v2.12' } },
+  }
+  const index = lunr(function () {
+    this.ref('id')
+    this.field('title', { boost: 10 })
+    this.field('name')
+    this.field('text')
+    this.field('component')
+    this.field('keyword', { boost: 5 })
+    this.metadataWhitelist = ['position']
+    documents.forEach((doc) => {
+      doc.titles.forEach((title) => this.add({ id: `${doc.id}-${title.id}`, title: title.text }))
+      this.add(doc)
+      store.documents[doc.id] = doc
+    })
+  })
+  fs.writeFileSync(file, `antoraSearch.initSearch(lunr, ${JSON.stringify({ index, store })})\n`)
+}
+
+describe('split-search-index', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = createTempDir()
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  const readManifest = (outputDir = 'site/lang-indexes') => JSON.parse(fs.readFileSync(path.join(dir, outputDir, 'manifest.json'), 'utf8'))
+  const listLangs = () => Object.keys(readManifest().shards.prod['v2.12']).sort()
+
+  it('splits the index of the site for DEFAULT_LANGS and the languages of language-data', async () => {
+    fs.mkdirSync(path.join(dir, 'site'))
+    writeSearchIndex(path.join(dir, 'site/search-index.js'), ['en', 'ko', 'hu', 'xx'])
+    const context = GeneratorContext.create({ extension: splitSearchIndexExtension })
+    await context.notify('sitePublished', {
+      playbook: { dir, output: { dir: 'site' } },
+      siteAsciiDocConfig: { attributes: { 'language-data': [{ en: [] }, { hu: [] }] } },
+    })
+
+    assert.deepStrictEqual(listLangs(), ['en', 'hu', 'ko'])
+    assert.ok(context.messages.some(({ level, message }) =>
+      level === 'warn' && message === 'Skipped search document /prod/v2.12/xx/install.html: language xx is not configured'))
+    // v2.13 has no documents, it is linked to the indexed version
+    assert.strictEqual(fs.readlinkSync(path.join(dir, 'site/lang-indexes/prod/v2.13')), 'v2.12')
+    assert.match(fs.readFileSync(path.join(dir, 'site/search-index.js'), 'utf8'), /^\/\/ Auto-generated by split-search-index\.js/)
+  })
+
+  it('treats a version with prerelease: false as stable', async () => {
+    fs.mkdirSync(path.join(dir, 'site'))
+    writeSearchIndex(path.join(dir, 'site/search-index.js'), ['en'], ['v2.13', 'v2.12'])
+    await splitSearchIndexExtension.splitSearchIndex(path.join(dir, 'site/search-index.js'), path.join(dir, 'site/lang-indexes'), {
+      languages: ['en'],
+      logger: { info () {}, warn () {} },
+    })
+    // dev is v2.14, which has no documents, so it ends up at latest too
+    assert.strictEqual(fs.readlinkSync(path.join(dir, 'site/lang-indexes/prod/latest')), 'v2.13')
+    assert.strictEqual(fs.readlinkSync(path.join(dir, 'site/lang-indexes/prod/dev')), 'v2.13')
+    assert.strictEqual(fs.readlinkSync(path.join(dir, 'site/lang-indexes/prod/v2.14')), 'v2.13')
+  })
+
+  it('prefers --languages over --attributes on the command line', () => {
+    fs.writeFileSync(path.join(dir, 'attributes.yml'), 'language-data:\n  - hu: []\n')
+    const run = (...args) => {
+      fs.rmSync(path.join(dir, 'site'), { recursive: true, force: true })
+      fs.mkdirSync(path.join(dir, 'site'))
+      writeSearchIndex(path.join(dir, 'site/search-index.js'), ['en', 'de', 'hu'])
+      const { status, stderr } = spawnSync(process.execPath,
+        [SCRIPT, ...args, path.join(dir, 'site/search-index.js'), path.join(dir, 'site/lang-indexes')],
+        { encoding: 'utf8', timeout: 30000 })
+      assert.strictEqual(status, 0, stderr)
+      return listLangs()
+    }
+    assert.deepStrictEqual(run('--languages', 'en', '--attributes', path.join(dir, 'attributes.yml')), ['en'])
+    assert.deepStrictEqual(run('--attributes', path.join(dir, 'attributes.yml'), '--languages', 'en', '--no-compress'), ['en'])
+    assert.deepStrictEqual(run('--attributes', path.join(dir, 'attributes.yml')), ['de', 'en', 'hu'])
+  })
+
+  it('names the shards by the hash of their content and lists them with the aliases in the manifest', async () => {
+    fs.mkdirSync(path.join(dir, 'site'))
+    const inputFile = path.join(dir, 'site/search-index.js')
+    const outputDir = path.join(dir, 'site/lang-indexes')
+    const split = async () => {
+      writeSearchIndex(inputFile, ['en', 'de'], ['v2.13', 'v2.12'])
+      await splitSearchIndexExtension.splitSearchIndex(inputFile, outputDir, { languages: ['en', 'de'], logger: { info () {}, warn () {} } })
+      return readManifest()
+    }
+    const manifest = await split()
+
+    assert.deepStrictEqual(Object.keys(manifest.shards.prod).sort(), ['v2.12', 'v2.13'])
+    assert.deepStrictEqual(manifest.aliases, { prod: { 'v2.14': 'v2.13', latest: 'v2.13', dev: 'v2.13' } })
+    const file = manifest.shards.prod['v2.12'].de
+    const [, hash] = file.match(/^prod\/v2\.12\/search-index-de\.([0-9a-f]{12})\.js$/)
+    const contents = fs.readFileSync(path.join(outputDir, file))
+    assert.strictEqual(crypto.createHash('sha256').update(contents).digest('hex').slice(0, 12), hash)
+    assert.deepStrictEqual(zlib.gunzipSync(fs.readFileSync(path.join(outputDir, `${file}.gz`))), contents)
+    assert.deepStrictEqual(zlib.brotliDecompressSync(fs.readFileSync(path.join(outputDir, `${file}.br`))), contents)
+    assert.ok(fs.readFileSync(inputFile, 'utf8').includes(`var manifest = ${JSON.stringify(manifest)};`))
+
+    // The same content gets the same name, the files of a previous run are replaced
+    assert.deepStrictEqual(await split(), manifest)
+    assert.deepStrictEqual(fs.readdirSync(path.join(outputDir, 'prod/v2.12')).sort(), [
+      path.basename(manifest.shards.prod['v2.12'].de),
+      `${path.basename(manifest.shards.prod['v2.12'].de)}.br`,
+      `${path.basename(manifest.shards.prod['v2.12'].de)}.gz`,
+      path.basename(manifest.shards.prod['v2.12'].en),
+      `${path.basename(manifest.shards.prod['v2.12'].en)}.br`,
+      `${path.basename(manifest.shards.prod['v2.12'].en)}.gz`,
+    ].sort())
+  })
+
+  it('writes no compressed copies with compress: false', async () => {
+    fs.mkdirSync(path.join(dir, 'site'))
+    writeSearchIndex(path.join(dir, 'site/search-index.js'), ['en'])
+    const context = GeneratorContext.create({ extension: splitSearchIndexExtension, config: { compress: false } })
+    await context.notify('sitePublished', { playbook: { dir, output: { dir: 'site' } } })
+    const file = readManifest().shards.prod['v2.12'].en
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'site/lang-indexes/prod/v2.12')), [path.basename(file)])
+  })
+
+  it('searches the shards of other versions and components from the loader', async () => {
+    fs.mkdirSync(path.join(dir, 'site'))
+    writeSearchIndex(path.join(dir, 'site/search-index.js'), ['en', 'de'], ['v2.13', 'v2.12'])
+    await splitSearchIndexExtension.splitSearchIndex(path.join(dir, 'site/search-index.js'), path.join(dir, 'site/lang-indexes'), {
+      languages: ['en', 'de', 'fr'],
+      compress: false,
+      logger: { info () {}, warn () {} },
+    })
+    const { shards } = readManifest()
+    const { loader, scripts } = runLoader(path.join(dir, 'site'), '/prod/v2.12/de/install.html')
+
+    const search = async (options) => {
+      const { results, facets } = await loader.search('install', options)
+      // Copied out of the realm of the loader to compare them
+      return JSON.parse(JSON.stringify({
+        results: results.map(({ doc, version, lang, normalizedScore }) => [doc.url, version, lang, normalizedScore]),
+        versions: Object.fromEntries(Object.entries(facets.versions).map(([key, { count }]) => [key, count])),
+      }))
+    }
+    assert.deepStrictEqual(await search(), {
+      results: [['/prod/v2.12/de/install.html', 'v2.12', 'de', 1]],
+      versions: { 'prod/v2.12': 1 },
+    })
+    // The shard of the page is injected for the search UI
+    assert.deepStrictEqual(scripts, [`/lang-indexes/${shards.prod['v2.12'].de}`])
+    assert.deepStrictEqual(await search({ scope: 'versions' }), {
+      results: [['/prod/v2.13/de/install.html', 'v2.13', 'de', 1], ['/prod/v2.12/de/install.html', 'v2.12', 'de', 1]],
+      versions: { 'prod/v2.13': 1, 'prod/v2.12': 1 },
+    })
+    // products searches the latest version, fr has no shard and falls back to English
+    assert.deepStrictEqual(await search({ scope: 'products', lang: 'fr' }), {
+      results: [['/prod/v2.13/en/install.html', 'v2.13', 'en', 1]],
+      versions: { 'prod/v2.13': 1 },
+    })
+
+    const shard = await loader.load('prod', 'latest')
+    assert.strictEqual(shard.file, shards.prod['v2.13'].de)
+    assert.strictEqual(await loader.load('other', 'latest'), null)
+  })
+
+  it('writes the shards byte for byte like splitting the parsed payload', async () => {
+    // Strings with quotes, backslashes, brackets and commas, refs of sections, postings of several fields
+    const documents = {
+      1: { id: 1, title: 'Install "Prod" {v2}', text: 'C:\\temp\\ [a, b]', url: '/prod/v2.12/en/install.html' },
+      2: { id: 2, title: 'Installation', text: 'Ünïcode ✓ \u2028', url: '/prod/v2.12/de/install.html' },
+      3: { id: 3, title: 'Upgrade', text: '}],"', url: '/prod/v2.13/en/upgrade.html' },
+      4: { id: 4, title: 'Other', url: '/other/1.0/en/index.html', component: 'other', version: '1.0' },
+    }
+    const index = {
+      version: '2.3.9',
+      fields: ['title', 'text'],
+      fieldVectors: [['title/1', [0, 1.5]], ['text/1', []], ['title/1-1', [2, 0.25]], ['title/2', [0, 1]], ['text/3', [1, 2e-7]], ['title/4', [3, 1]]],
+      invertedIndex: [
+        ['instal', { _index: 0, title: { 1: { position: [[0, 7]] }, 2: {} }, text: { '1-1': {} } }],
+        ['upgrad', { _index: 1, title: { 3: {} }, text: {} }],
+        ['nothing', { _index: 2, title: {}, text: {} }],
+        ['c', { _index: 3, title: {}, text: { 1: {}, 4: {} } }],
+      ],
+      pipeline: ['stemmer'],
+    }
+    const store = {
+      documents,
+      componentVersions: {
+        'prod/v2.12': { name: 'prod', version: 'v2.12', title: 'Prod "2.12"' },
+        'prod/v2.13': { name: 'prod', version: 'v2.13' },
+        'other/1.0': { name: 'other', version: '1.0' },
+      },
+    }
+    const inputFile = path.join(dir, 'search-index.js')
+    fs.writeFileSync(inputFile, `antoraSearch.initSearch(lunr, ${JSON.stringify({ index, store }, null, 2)})\n`)
+    await splitSearchIndexExtension.splitSearchIndex(inputFile, path.join(dir, 'lang-indexes'), {
+      languages: ['en', 'de'],
+      compress: false,
+      logger: { info () {}, warn () {} },
+    })
+
+    // The shard as split from the parsed payload, before the split was streamed
+    const expected = (component, version, docIds) => {
+      const keep = (ref) => docIds.includes(String(ref).split('-')[0])
+      const invertedIndex = index.invertedIndex
+        .map(([token, posting]) => {
+          const part = { _index: posting._index }
+          let hasRefs = false
+          index.fields.forEach((field) => {
+            part[field] = Object.fromEntries(Object.entries(posting[field]).filter(([ref]) => keep(ref)))
+            hasRefs = hasRefs || Object.keys(part[field]).length > 0
+          })
+          return hasRefs && [token, part]
+        })
+        .filter(Boolean)
+      const shard = {
+        index: { ...index, fieldVectors: index.fieldVectors.filter(([key]) => keep(key.slice(key.indexOf('/') + 1))), invertedIndex },
+        store: {
+          ...store,
+          documents: Object.fromEntries(docIds.map((id) => [id, documents[id]])),
+          componentVersions: { [`${component}/${version}`]: store.componentVersions[`${component}/${version}`] },
+        },
+      }
+      return `antoraSearch.initSearch(lunr, ${JSON.stringify(shard)});\n`
+    }
+    const { shards } = readManifest('lang-indexes')
+    const read = (name) => fs.readFileSync(path.join(dir, 'lang-indexes', name), 'utf8')
+    assert.strictEqual(read(shards.prod['v2.12'].en), expected('prod', 'v2.12', ['1']))
+    assert.strictEqual(read(shards.prod['v2.12'].de), expected('prod', 'v2.12', ['2']))
+    assert.strictEqual(read(shards.prod['v2.13'].en), expected('prod', 'v2.13', ['3']))
+    assert.strictEqual(read(shards.other['1.0'].en), expected('other', '1.0', ['4']))
+  })
+
+  it('keeps the fields and the positions of the source index in a rebuilt shard', async () => {
+    const inputFile = path.join(dir, 'search-index.js')
+    const doc = (id, lang, title, text, keyword) => ({
+      id,
+      title,
+      text,
+      keyword,
+      name: 'install',
+      component: 'prod',
+      version: 'v2.12',
+      url: `/prod/v2.12/${lang}/install.html`,
+      titles: [{ id: 1, text: 'Voraussetzungen', hash: 'requirements' }],
+    })
+    writeLunrSearchIndex(inputFile, [
+      doc(1, 'en', 'Installation', 'Install the clusters with Helm.', 'setup'),
+      doc(2, 'de', 'Installation', 'Die Cluster werden mit Helm installiert.', 'Einrichtung'),
+    ])
+    const logger = { info () {}, warn () {} }
+    await splitSearchIndexExtension.splitSearchIndex(inputFile, path.join(dir, 'lang-indexes'), { languages: ['en', 'de'], compress: false, rebuild: ['de'], logger })
+
+    const { shards } = readManifest('lang-indexes')
+    const text = fs.readFileSync(path.join(dir, 'lang-indexes', shards.prod['v2.12'].de), 'utf8')
+    const { index } = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1))
+    assert.deepStrictEqual(index.fields, ['title', 'name', 'text', 'component', 'keyword'])
+    assert.ok(index.pipeline.includes('stemmer-de'))
+    const [, posting] = index.invertedIndex.find(([term]) => term === 'clust')
+    assert.deepStrictEqual(posting.text, { 2: { position: [[4, 7]] } })
+
+    const result = lunr.Index.load(index).search('Einrichtung')
+    assert.deepStrictEqual(result.map(({ ref }) => ref), ['2'])
+    assert.deepStrictEqual(Object.keys(result[0].matchData.metadata.einricht.keyword), ['position'])
+  })
+
+  it('exports the documents as search records with the channels of their versions', async () => {
+    fs.mkdirSync(path.join(dir, 'site'))
+    writeSearchIndex(path.join(dir, 'site/search-index.js'), ['en', 'de'], ['v2.13', 'v2.12'])
+    const context = GeneratorContext.create({ extension: splitSearchIndexExtension, config: { records: true, compress: false } })
+    await context.notify('sitePublished', {
+      playbook: { dir, output: { dir: 'site' } },
+      siteAsciiDocConfig: { attributes: { 'page-project-data': [{ 'url-part': 'prod', title: 'Prod', fullTitle: 'SUSE Prod' }] } },
+    })
+    const recordsDir = path.join(dir, 'site/lang-indexes/records')
+    const readRecords = (file) => fs.readFileSync(path.join(recordsDir, file), 'utf8').split('\n').filter(Boolean).map((line) => JSON.parse(line))
+
+    // v2.14 is the latest prerelease, the dev alias only links to v2.13 as v2.14 has no documents
+    assert.deepStrictEqual(readRecords('prod/v2.13/de.ndjson'), [{
+      id: 'prod_v2_13_de_1',
+      url: '/prod/v2.13/de/install.html',
+      title: 'Install',
+      sections: [],
+      text: '',
+      component: 'prod',
+      product: 'SUSE Prod',
+      version: 'v2.13',
+      displayVersion: 'v2.13',
+      latest: true,
+      dev: false,
+      lang: 'de',
+    }])
+    assert.deepStrictEqual(readRecords('prod/v2.12/en.ndjson').map(({ id, latest, dev }) => ({ id, latest, dev })),
+      [{ id: 'prod_v2_12_en_2', latest: false, dev: false }])
+
+    const index = JSON.parse(fs.readFileSync(path.join(recordsDir, 'index.json'), 'utf8'))
+    assert.strictEqual(index.schema, 1)
+    assert.strictEqual(index.format, 'ndjson')
+    assert.ok(!Number.isNaN(Date.parse(index.generated)))
+    assert.deepStrictEqual(index.files.sort((a, b) => a.file.localeCompare(b.file)), [
+      { component: 'prod', version: 'v2.12', lang: 'de', file: 'prod/v2.12/de.ndjson', records: 1 },
+      { component: 'prod', version: 'v2.12', lang: 'en', file: 'prod/v2.12/en.ndjson', records: 1 },
+      { component: 'prod', version: 'v2.13', lang: 'de', file: 'prod/v2.13/de.ndjson', records: 1 },
+      { component: 'prod', version: 'v2.13', lang: 'en', file: 'prod/v2.13/en.ndjson', records: 1 },
+    ])
+  })
+
+  it('exports the search records as JSON arrays', async () => {
+    const inputFile = path.join(dir, 'search-index.js')
+    const outputDir = path.join(dir, 'lang-indexes')
+    writeSearchIndex(inputFile, ['en'], ['v2.13', 'v2.12'])
+    const logger = { info () {}, warn () {} }
+    await splitSearchIndexExtension.splitSearchIndex(inputFile, outputDir, { languages: ['en'], compress: false, records: 'json', logger })
+
+    const records = JSON.parse(fs.readFileSync(path.join(outputDir, 'records/prod/v2.13/en.json'), 'utf8'))
+    assert.deepStrictEqual(records.map(({ id, product, latest }) => ({ id, product, latest })),
+      [{ id: 'prod_v2_13_en_0', product: 'prod', latest: true }])
+    const { format, files } = JSON.parse(fs.readFileSync(path.join(outputDir, 'records/index.json'), 'utf8'))
+    assert.strictEqual(format, 'json')
+    assert.deepStrictEqual(files.map(({ file }) => file).sort(), ['prod/v2.12/en.json', 'prod/v2.13/en.json'])
+
+    await assert.rejects(splitSearchIndexExtension.splitSearchIndex(inputFile, outputDir, { languages: ['en'], records: 'csv', logger }),
+      /Unknown search records format csv, use ndjson or json/)
+  })
+
+  describe('createJsonScanner', () => {
+    // Feeds the text to a scanner in chunks of the size, returns the calls of the callbacks
+    const scan = (text, chunkSize, select) => {
+      const calls = []
+      const scanner = createJsonScanner({
+        select,
+        onValue: (path, value) => calls.push(['value', path, value]),
+        onStart: (path, type) => calls.push(['start', path, type]),
+        onEnd: (path, type) => calls.push(['end', path, type]),
+      })
+      for (let i = 0; i < text.length; i += chunkSize) scanner.write(text.slice(i, i + chunkSize))
+      scanner.end()
+      return calls
+    }
+    const text = ' { "a\\"b" : [ "x\\\\", "}]\\",", {"c": [1, [2, {}]], "d": null}, -1.5e3 , true ] , "e": {"f": "\\u00e9"}, "g": [] }'
+
+    it('captures escaped and nested values whatever the chunk size', () => {
+      const expected = [
+        ['start', [], 'object'],
+        ['start', ['a"b'], 'array'],
+        ['value', ['a"b', 0], 'x\\'],
+        ['value', ['a"b', 1], '}]",'],
+        ['value', ['a"b', 2], { c: [1, [2, {}]], d: null }],
+        ['value', ['a"b', 3], -1500],
+        ['value', ['a"b', 4], true],
+        ['end', ['a"b'], 'array'],
+        ['value', ['e'], { f: 'é' }],
+        ['start', ['g'], 'array'],
+        ['end', ['g'], 'array'],
+        ['end', [], 'object'],
+      ]
+      const select = (path) => (path.length === 0 || path[0] !== 'e') && path.length < 2 ? 'descend' : 'capture'
+      ;[1, 2, 3, 7, text.length].forEach((chunkSize) => {
+        assert.deepStrictEqual(scan(text, chunkSize, select), expected, `chunks of ${chunkSize}`)
+      })
+    })
+
+    it('descends into nested containers and skips values', () => {
+      const select = (path) => {
+        if (path[0] === 'e' || path[0] === 'g') return 'skip'
+        return path.length < 3 || path[2] === 'c' ? 'descend' : 'capture'
+      }
+      assert.deepStrictEqual(scan(text, 5, select).filter(([, path]) => path.length > 2), [
+        ['start', ['a"b', 2, 'c'], 'array'],
+        ['value', ['a"b', 2, 'c', 0], 1],
+        ['start', ['a"b', 2, 'c', 1], 'array'],
+        ['value', ['a"b', 2, 'c', 1, 0], 2],
+        ['start', ['a"b', 2, 'c', 1, 1], 'object'],
+        ['end', ['a"b', 2, 'c', 1, 1], 'object'],
+        ['end', ['a"b', 2, 'c', 1], 'array'],
+        ['end', ['a"b', 2, 'c'], 'array'],
+        ['value', ['a"b', 2, 'd'], null],
+      ])
+    })
+
+    it('accepts trailing commas and rejects a truncated payload', () => {
+      assert.deepStrictEqual(scan('{"a": [1, 2,], "b": {"c": 3,},}', 4, (path) => path.length ? 'capture' : 'descend'), [
+        ['start', [], 'object'],
+        ['value', ['a'], [1, 2]],
+        ['value', ['b'], { c: 3 }],
+        ['end', [], 'object'],
+      ])
+      const scanner = createJsonScanner({ select: () => 'descend' })
+      scanner.write('{"a": [1, ')
+      assert.throws(() => scanner.end(), /Unexpected end of the search index payload/)
+      assert.throws(() => createJsonScanner({ select: () => 'descend' }).write('{1}'), /Unexpected "1" in the search index payload/)
+    })
+  })
+})
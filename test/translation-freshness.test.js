@@ -0,0 +1,78 @@
+'use strict'
+
+const assert = require('node:assert')
+const fs = require('node:fs')
+const path = require('node:path')
+const { describe, it } = require('node:test')
+const { GeneratorContext, createFile, createContentCatalog, createComponent, createTempDir } = require('./harness.js')
+const translationFreshness = require('../extensions/translation-freshness/translation-freshness.js')
+const vlp = require('../extensions/versions-latest-prerelease/vlp.js')
+
+describe('translation-freshness', () => {
+  it('hashes the source page as read, before vlp.js rewrites its alias xrefs', async () => {
+    const source = '= Install\n\nSee xref:latest@prod:en:upgrade.adoc[].\n'
+    const translation = `= 安装\n:page-translation-source-hash: ${translationFreshness.getSourceHash(source)}\n\n见 xref:latest@prod:zh:upgrade.adoc[].\n`
+    const files = [
+      createFile({ component: 'prod', version: 'v2.12', module: 'en', relative: 'install.adoc', contents: source }),
+      createFile({ component: 'prod', version: 'v2.12', module: 'zh', relative: 'install.adoc', contents: translation }),
+    ]
+    // vlp.js first, it rewrites the xrefs before this extension classifies the pages
+    const context = GeneratorContext.create(
+      { extension: vlp, config: { versionsFile: false } },
+      { extension: translationFreshness, config: { jsonReport: false, htmlReport: false } }
+    )
+    const contentCatalog = createContentCatalog([createComponent('prod', [{ version: 'v2.12' }])], files)
+    const outputDir = createTempDir()
+    try {
+      await context.notify('playbookBuilt', { playbook: { output: { dir: outputDir }, site: {} } })
+      await context.notify('contentAggregated', { contentAggregate: [{ name: 'prod', version: 'v2.12', files }] })
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true })
+    }
+    assert.match(files[0].contents.toString(), /xref:v2\.12@prod:en:upgrade\.adoc/)
+    await context.notify('contentClassified', { playbook: {}, contentCatalog })
+
+    assert.match(files[1].contents.toString(), /^:page-translation-status: current$/m)
+  })
+  it('compares the revdates without a recorded hash and writes the reports', async () => {
+    const page = (module, relative, revdate) =>
+      createFile({ component: 'prod', version: 'v2.12', module, relative, contents: `= Page\n${revdate ? `:revdate: ${revdate}\n` : ''}` })
+    const files = [
+      page('en', 'install.adoc', '2026-03-01'),
+      page('en', 'upgrade.adoc', '2026-01-01'),
+      page('en', 'faq.adoc'),
+      page('de', 'install.adoc', '2026-02-01'),
+      page('de', 'upgrade.adoc', '2026-02-01'),
+      page('de', 'faq.adoc', '2026-02-01'),
+      page('de', 'legal.adoc', '2026-02-01'),
+    ]
+    const context = GeneratorContext.create({ extension: translationFreshness, config: { htmlReport: 'freshness.html' } })
+    const contentCatalog = createContentCatalog([createComponent('prod', [{ version: 'v2.12' }])], files)
+    const dir = createTempDir()
+    try {
+      await context.notify('contentAggregated', { contentAggregate: [{ name: 'prod', version: 'v2.12', files }] })
+      await context.notify('contentClassified', { playbook: { dir }, contentCatalog })
+      const report = JSON.parse(fs.readFileSync(path.join(dir, 'build/translation-freshness.json'), 'utf8'))
+      assert.deepStrictEqual(report.totals, { outdated: 1, unknown: 1, 'no-source': 1, current: 1 })
+      assert.deepStrictEqual(report.components.prod['v2.12'].de.pages.map(({ path, status }) => [path, status]), [
+        ['install.adoc', 'outdated'],
+        ['upgrade.adoc', 'current'],
+        ['faq.adoc', 'unknown'],
+        ['legal.adoc', 'no-source'],
+      ])
+      assert.match(fs.readFileSync(path.join(dir, 'freshness.html'), 'utf8'), /<tr class="outdated"><td><a href="\/prod\/v2.12\/de\/install.html">/)
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+    assert.strictEqual(files[3].contents.toString(), [
+      ':page-translation-status: outdated',
+      ':page-translation-outdated: true',
+      ':page-translation-source-url: /prod/v2.12/en/install.html',
+      ':page-translation-source-revdate: 2026-03-01',
+      '= Page',
+      ':revdate: 2026-02-01',
+      '',
+    ].join('\n'))
+    assert.match(files[6].contents.toString(), /^:page-translation-status: no-source\n= Page/)
+  })
+})
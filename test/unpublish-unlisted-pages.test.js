@@ -0,0 +1,285 @@
+'use strict'
+
+const assert = require('node:assert')
+const fs = require('fs')
+const path = require('path')
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const { GeneratorContext, createFile, createContentCatalog, createComponent, createTempDir } = require('./harness.js')
+const unpublishUnlistedPages = require('../extensions/unpublish-unlisted-pages/unpublish-unlisted-pages.js')
+
+describe('unpublish-unlisted-pages', () => {
+  let dir
+
+  beforeEach(() => {
+    dir = createTempDir()
+  })
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  // prod v2.12 lists install.adoc in the navigation, all other pages but the start page are unlisted
+  const build = async (config, attributes = {}) => {
+    const context = GeneratorContext.create({ extension: unpublishUnlistedPages, config: { component: 'prod', ...config } })
+    const component = createComponent('prod', [{
+      version: 'v2.12',
+      url: '/prod/v2.12/en/index.html',
+      navigation: [{ items: [{ urlType: 'internal', url: '/prod/v2.12/en/install.html#steps' }] }],
+    }])
+    const relatives = ['index.adoc', 'install.adoc', 'faq/upgrade.adoc', 'faq/legacy/old.adoc', 'landing.adoc', 'draft.adoc']
+    const files = relatives.map((relative) =>
+      createFile({ component: 'prod', version: 'v2.12', relative, attributes: attributes[relative] }))
+    const contentCatalog = createContentCatalog([component], files)
+    await context.notify('navigationBuilt', { playbook: { dir }, contentCatalog })
+    const published = contentCatalog.findBy({ family: 'page' }).filter((page) => page.out).map((page) => page.src.relative)
+    return { context, published }
+  }
+
+  it('unpublishes the pages not in the navigation', async () => {
+    const { published } = await build({})
+    assert.deepStrictEqual(published, ['index.adoc', 'install.adoc'])
+  })
+
+  it('keeps pages matching a keep pattern or setting page-unlisted: keep', async () => {
+    const { published } = await build(
+      { keep: ['faq/*.adoc', 'prod:en:**/old.adoc'], report: 'report.json' },
+      { 'landing.adoc': { 'page-unlisted': 'keep' } }
+    )
+    assert.deepStrictEqual(published, ['index.adoc', 'install.adoc', 'faq/upgrade.adoc', 'faq/legacy/old.adoc', 'landing.adoc'])
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'))
+    assert.deepStrictEqual(report.kept.map(({ path, keptBy }) => [path, keptBy]), [
+      ['faq/upgrade.adoc', 'faq/*.adoc'],
+      ['faq/legacy/old.adoc', 'prod:en:**/old.adoc'],
+      ['landing.adoc', ':page-unlisted: keep'],
+    ])
+    assert.deepStrictEqual(report.components, { prod: { 'v2.12': { en: [{ path: 'draft.adoc', url: '/prod/v2.12/en/draft.html' }] } } })
+  })
+
+  it('matches patterns with an @ against the page ID including the version', async () => {
+    const { published } = await build({ keep: ['v2.12@prod:en:{draft,landing}.adoc', 'v2.13@prod:en:faq/**'] })
+    assert.deepStrictEqual(published, ['index.adoc', 'install.adoc', 'landing.adoc', 'draft.adoc'])
+  })
+
+  it('only reports the unlisted pages in report-only mode', async () => {
+    const { context, published } = await build({ reportOnly: true })
+    assert.strictEqual(published.length, 6)
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'build/unlisted-pages.json'), 'utf8'))
+    assert.strictEqual(report.reportOnly, true)
+    assert.strictEqual(report.count, 4)
+    assert.ok(context.messages.some(({ message }) => message === 'would unpublish v2.12@prod:en:draft.adoc'))
+    assert.ok(context.messages.some(({ message }) => message === '4 unlisted page(s) would be unpublished, 0 kept'))
+  })
+
+  it('fails the build if more pages than fail-above are unlisted', async () => {
+    await build({ failAbove: 4 })
+    await assert.rejects(build({ failAbove: 3 }), { message: '4 unlisted page(s), more than the 3 allowed by fail-above' })
+    await assert.rejects(build({ failAbove: -1 }), /fail-above must be a non-negative integer/)
+  })
+  it('keeps the assets of pages published with html_extension_style: indexify', async () => {
+    const context = GeneratorContext.create({ extension: unpublishUnlistedPages, config: { component: 'prod', assets: true } })
+    const component = createComponent('prod', [{
+      version: 'v2.12',
+      url: '/prod/v2.12/en/',
+      navigation: [{ items: [{ urlType: 'internal', url: '/prod/v2.12/en/install/' }] }],
+    }])
+    const files = [
+      createFile({ component: 'prod', version: 'v2.12', relative: 'index.adoc', url: '/prod/v2.12/en/', contents: '<img src="_images/start.png">' }),
+      createFile({
+        component: 'prod',
+        version: 'v2.12',
+        relative: 'install.adoc',
+        url: '/prod/v2.12/en/install/',
+        contents: '<img src="../_images/diagram.png" alt="">\n' +
+          '<img srcset="../_images/small.png 1x, ../_images/large.png 2x" src="../_images/small.png">\n' +
+          '<picture><source srcset="../_images/wide.webp 1200w"></picture>',
+      }),
+      ...['start.png', 'diagram.png', 'small.png', 'large.png', 'wide.webp', 'unused.png'].map((relative) =>
+        createFile({ component: 'prod', version: 'v2.12', family: 'image', relative })),
+    ]
+    const contentCatalog = createContentCatalog([component], files)
+    await context.notify('navigationBuilt', { playbook: { site: {} }, contentCatalog })
+
+    const published = contentCatalog.findBy({ family: 'image' }).filter((image) => image.out).map((image) => image.src.relative)
+    assert.deepStrictEqual(published, ['start.png', 'diagram.png', 'small.png', 'large.png', 'wide.webp'])
+  })
+
+  it('keeps the assets matching a keep pattern and only reports them in report-only mode', async () => {
+    const context = GeneratorContext.create({
+      extension: unpublishUnlistedPages,
+      config: { component: 'prod', assets: true, reportOnly: true, keep: ['logos/*.svg'] },
+    })
+    const component = createComponent('prod', [{ version: 'v2.12', url: '/prod/v2.12/en/index.html', navigation: [] }])
+    const files = [
+      createFile({ component: 'prod', version: 'v2.12', relative: 'index.adoc', contents: '<a href="_attachments/values.yaml">values</a>' }),
+      createFile({ component: 'prod', version: 'v2.12', relative: 'draft.adoc', contents: '<img src="_images/draft.png">' }),
+      createFile({ component: 'prod', version: 'v2.12', family: 'attachment', relative: 'values.yaml' }),
+      ...['draft.png', 'logos/suse.svg'].map((relative) =>
+        createFile({ component: 'prod', version: 'v2.12', family: 'image', relative, contents: 'x'.repeat(2048) })),
+    ]
+    const contentCatalog = createContentCatalog([component], files)
+    await context.notify('navigationBuilt', { playbook: { dir }, contentCatalog })
+
+    assert.strictEqual(contentCatalog.getFiles().filter((file) => !file.out).length, 0)
+    const { assets } = JSON.parse(fs.readFileSync(path.join(dir, 'build/unlisted-pages.json'), 'utf8'))
+    assert.deepStrictEqual(assets.components, {
+      prod: { 'v2.12': { en: [{ family: 'image', path: 'draft.png', url: '/prod/v2.12/en/_images/draft.png', size: 2048 }] } },
+    })
+    assert.deepStrictEqual(assets.kept.map(({ path, keptBy }) => [path, keptBy]), [['logos/suse.svg', 'logos/*.svg']])
+    assert.ok(context.messages.some(({ message }) => message === '1 orphaned asset(s) (2 KiB) would be unpublished, 1 kept'))
+  })
+
+  it('processes the components matching the patterns, without the excluded ones', async () => {
+    const unpublished = async (component) => {
+      const context = GeneratorContext.create({ extension: unpublishUnlistedPages, config: { component } })
+      const names = ['rancher-manager', 'rancher-shared', 'harvester']
+      const components = names.map((name) => createComponent(name, [{ version: 'v1', url: `/${name}/v1/en/index.html`, navigation: [] }]))
+      const files = names.flatMap((name) => ['index.adoc', 'draft.adoc'].map((relative) => createFile({ component: name, version: 'v1', relative })))
+      const contentCatalog = createContentCatalog(components, files)
+      await context.notify('navigationBuilt', { playbook: { dir }, contentCatalog })
+      return contentCatalog.getPages((page) => !page.out).map((page) => page.src.component)
+    }
+    assert.deepStrictEqual(await unpublished(['rancher-*', '!*-shared']), ['rancher-manager'])
+    assert.deepStrictEqual(await unpublished('!rancher-shared'), ['rancher-manager', 'harvester'])
+    assert.deepStrictEqual(await unpublished('harvester'), ['harvester'])
+  })
+
+  describe('nav-policy', () => {
+    // The en navigation lists install.adoc and faq.adoc, the de one install.adoc and legal.adoc
+    const unlisted = async (config) => {
+      const context = GeneratorContext.create({ extension: unpublishUnlistedPages, config: { component: 'prod', report: 'report.json', ...config } })
+      const navigation = [['en', ['install', 'faq']], ['de', ['install', 'legal']]].map(([lang, listed], index) => ({
+        order: index,
+        items: listed.map((name) => ({ urlType: 'internal', url: `/prod/v2.12/${lang}/${name}.html` })),
+      }))
+      const component = createComponent('prod', [{ version: 'v2.12', url: '/prod/v2.12/en/index.html', navigation }])
+      const files = [
+        ...['en', 'de'].map((module, index) =>
+          ({ src: { component: 'prod', version: 'v2.12', module, family: 'nav', relative: 'nav.adoc' }, nav: { index } })),
+        ...['en', 'de'].flatMap((module) => ['index.adoc', 'install.adoc', 'faq.adoc', 'legal.adoc']
+          .map((relative) => createFile({ component: 'prod', version: 'v2.12', module, relative }))),
+      ]
+      const contentCatalog = createContentCatalog([component], files)
+      await context.notify('navigationBuilt', { playbook: { dir }, contentCatalog })
+      const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'))
+      return { context, report, pages: contentCatalog.getPages((page) => !page.out).map((page) => `${page.src.module}:${page.src.relative}`) }
+    }
+
+    it('lists a page in the navigation of any language by default', async () => {
+      const { pages, report } = await unlisted({})
+      assert.strictEqual(report.navPolicy, 'combined')
+      assert.deepStrictEqual(pages, ['en:legal.adoc', 'de:index.adoc', 'de:faq.adoc'])
+    })
+
+    it('lists a page in the navigation of its own language with own', async () => {
+      const { pages } = await unlisted({ navPolicy: 'own' })
+      assert.deepStrictEqual(pages, ['en:legal.adoc', 'de:faq.adoc'])
+    })
+
+    it('lists a translated page if its source page is listed with source', async () => {
+      const { pages } = await unlisted({ navPolicy: 'source' })
+      assert.deepStrictEqual(pages, ['en:legal.adoc', 'de:legal.adoc'])
+      const { pages: dePages } = await unlisted({ navPolicy: 'source', sourceLanguage: 'de' })
+      assert.deepStrictEqual(dePages, ['en:faq.adoc', 'de:faq.adoc'])
+    })
+
+    it('reports the navigation mismatches of the translations', async () => {
+      const { context, report } = await unlisted({ reportOnly: true })
+      assert.deepStrictEqual(report.navMismatches, [
+        { component: 'prod', version: 'v2.12', language: 'de', missing: ['faq.adoc'], extra: ['legal.adoc'] },
+      ])
+      assert.ok(context.messages.some(({ level, message }) =>
+        level === 'warn' && message === '2 navigation mismatch(es) between en and the translations, see the report'))
+    })
+
+    it('rejects an unknown policy', () => {
+      assert.throws(() => GeneratorContext.create({ extension: unpublishUnlistedPages, config: { component: 'prod', navPolicy: 'all' } }),
+        /nav-policy must be one of combined, own, source/)
+    })
+  })
+
+  describe('redirect', () => {
+    // v2.13 is a prerelease, v2.12 lists install.adoc and faq/index.adoc, v2.11 and v2.13 list
+    // install/upgrade.adoc
+    const createCatalog = (v211Attributes) => {
+      const version = (version, listed, props = {}) => ({
+        version,
+        url: `/prod/${version}/en/index.html`,
+        navigation: [{ items: listed.map((relative) => ({ urlType: 'internal', url: `/prod/${version}/en/${relative.replace('.adoc', '.html')}` })) }],
+        ...props,
+      })
+      const component = createComponent('prod', [
+        version('v2.13', ['install/upgrade.adoc'], { prerelease: true }),
+        version('v2.12', ['install.adoc', 'faq/index.adoc']),
+        version('v2.11', ['install/upgrade.adoc'], { asciidoc: { attributes: v211Attributes } }),
+      ])
+      const files = [
+        ...['index.adoc', 'install/upgrade.adoc'].map((relative) => createFile({ component: 'prod', version: 'v2.13', relative })),
+        ...['index.adoc', 'install.adoc', 'install/upgrade.adoc', 'faq/index.adoc', 'faq/a/old.adoc', 'draft.adoc']
+          .map((relative) => createFile({ component: 'prod', version: 'v2.12', relative })),
+        ...['index.adoc', 'install/upgrade.adoc'].map((relative) => createFile({ component: 'prod', version: 'v2.11', relative })),
+      ]
+      return createContentCatalog([component], files)
+    }
+    const redirect = async (config, { playbook = {}, v211Attributes, setup = () => {} } = {}) => {
+      const context = GeneratorContext.create({ extension: unpublishUnlistedPages, config: { component: 'prod', redirect: true, ...config } })
+      const contentCatalog = createCatalog(v211Attributes)
+      setup(contentCatalog)
+      await context.notify('navigationBuilt', { playbook: { dir, ...playbook }, contentCatalog })
+      const aliases = contentCatalog.findBy({ family: 'alias' })
+        .map((alias) => [`${alias.src.version}:${alias.src.relative}`, alias.rel.pub.url])
+      return { context, contentCatalog, aliases: Object.fromEntries(aliases) }
+    }
+
+    it('redirects to the nearest listed ancestor, then the latest version, then the start page', async () => {
+      const { aliases, contentCatalog } = await redirect({})
+      assert.deepStrictEqual(aliases, {
+        'v2.12:install/upgrade.adoc': '/prod/v2.12/en/install.html',
+        'v2.12:faq/a/old.adoc': '/prod/v2.12/en/faq/index.html',
+        'v2.12:draft.adoc': '/prod/v2.12/en/index.html',
+      })
+      assert.strictEqual(contentCatalog.getById({ version: 'v2.12', family: 'page', relative: 'draft.adoc' }), undefined)
+    })
+
+    it('finds the latest version with the channels and pins of vlp.js', async () => {
+      const latest = await redirect({ redirect: ['latest'] }, { v211Attributes: { 'vlp-channels': 'latest' } })
+      assert.deepStrictEqual(latest.aliases, { 'v2.12:install/upgrade.adoc': '/prod/v2.11/en/install/upgrade.html' })
+
+      const playbook = { antora: { extensions: ['@antora/lunr-extension', { require: './ext/vlp.js', channels: [{ name: 'newest', select: 'any' }], latestChannel: 'newest' }] } }
+      const newest = await redirect({ redirect: ['latest'] }, { playbook })
+      assert.deepStrictEqual(newest.aliases, { 'v2.12:install/upgrade.adoc': '/prod/v2.13/en/install/upgrade.html' })
+
+      const stable = await redirect({ redirect: ['latest'] })
+      assert.deepStrictEqual(stable.aliases, {})
+    })
+
+    it('moves the aliases of a redirected page to the target', async () => {
+      const { aliases } = await redirect({ redirect: ['start-page'] }, {
+        setup: (contentCatalog) => {
+          const draft = contentCatalog.getById({ version: 'v2.12', family: 'page', relative: 'draft.adoc' })
+          contentCatalog.registerPageAlias('v2.12@prod:en:preview.adoc', draft)
+        },
+      })
+      assert.strictEqual(aliases['v2.12:preview.adoc'], '/prod/v2.12/en/index.html')
+      assert.strictEqual(aliases['v2.12:draft.adoc'], '/prod/v2.12/en/index.html')
+    })
+
+    it('only unpublishes a page whose ID is already an alias', async () => {
+      const { context, contentCatalog, aliases } = await redirect({ redirect: ['start-page'] }, {
+        setup: (contentCatalog) => {
+          const install = contentCatalog.getById({ version: 'v2.12', family: 'page', relative: 'install.adoc' })
+          contentCatalog.registerPageAlias('v2.12@prod:en:draft.adoc', install)
+        },
+      })
+      assert.strictEqual(aliases['v2.12:draft.adoc'], '/prod/v2.12/en/install.html')
+      const draft = contentCatalog.getById({ version: 'v2.12', family: 'page', relative: 'draft.adoc' })
+      assert.strictEqual(draft.out, undefined)
+      assert.ok(context.messages.some(({ level, message }) =>
+        level === 'warn' && message === 'cannot redirect unpublished page v2.12@prod:en:draft.adoc, the ID is already an alias'))
+    })
+
+    it('rejects an unknown redirect target', () => {
+      assert.throws(() => GeneratorContext.create({ extension: unpublishUnlistedPages, config: { component: 'prod', redirect: ['parent'] } }),
+        /unknown redirect target\(s\) parent/)
+    })
+  })
+})
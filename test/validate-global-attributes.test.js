@@ -0,0 +1,63 @@
+'use strict'
+
+const assert = require('node:assert')
+const { describe, it } = require('node:test')
+const { validate_attributes, format_error } = require('../extensions/dynamic-loading-attributes/validate-global-attributes.js')
+
+describe('validate-global-attributes.js', () => {
+  const lines = (errors) => errors.map(({ line, message }) => `${line}: ${message}`)
+
+  it('accepts a valid file', () => {
+    const text = 'rancher-product-name: Rancher\nrancher-product-name-tm: Rancher®\nversion: v2.13\n'
+    assert.deepStrictEqual(validate_attributes(text, 'global.yml'), [])
+  })
+
+  it('reports the line of the key or list item with the error', () => {
+    const text = [
+      'rancher-product-name: Rancher',
+      'prime-productname: Prime',
+      'nested:',
+      '  key: value',
+      'page-project-data:',
+      '- page-global-dsc-base: &dsc_base https://documentation.suse.com',
+      '- url-part: rancher',
+      '  title: Rancher',
+      '  dsc-base-url: https://documentation.suse.com',
+      '  dsc-base-url2: rancher',
+      '  dsc-base-url3: ""',
+      '- url-part: rancher',
+      '  title: Rancher Prime',
+      '  dsc-base-url: not a url',
+      '  dsc-base-url2: rancher',
+      '  dsc-base-url3: ""',
+      '  colour: blue',
+      'language-data:',
+      '- en:',
+      '  - ":toc-title: Contents"',
+      '  - "toc-title Contents"',
+      '- en:',
+      '  - ":toc-title: Contents"',
+      '',
+    ].join('\n')
+
+    assert.deepStrictEqual(lines(validate_attributes(text, 'global.yml')), [
+      '2: prime-productname: product name keys must follow the <product>-product-name[-tm] convention',
+      '3: nested: attributes must have a scalar value',
+      `14: page-project-data: rancher: invalid 'dsc-base-url': "not a url"`,
+      "17: page-project-data: rancher: unknown key 'colour'",
+      "12: page-project-data: duplicate 'url-part' rancher, first defined on line 7",
+      `21: language-data: en: not a ':name: value' line: "toc-title Contents"`,
+      "22: language-data: duplicate language 'en', first defined on line 19",
+    ])
+  })
+
+  it('reports a yaml error at the line of the parser', () => {
+    const errors = validate_attributes('a: b\nc: [d\n', 'bad.yml')
+
+    assert.deepStrictEqual(errors.map(format_error), ['bad.yml:3: yaml parser: unexpected end of the stream within a flow collection'])
+  })
+
+  it('rejects a file without key/value pairs', () => {
+    assert.deepStrictEqual(lines(validate_attributes('- a\n')), ['1: the attribute file must contain key/value pairs'])
+  })
+})
@@ -0,0 +1,431 @@
+'use strict'
+
+const assert = require('node:assert')
+const fs = require('node:fs')
+const path = require('node:path')
+const { describe, it, beforeEach, afterEach } = require('node:test')
+const {
+  GeneratorContext,
+  createFile,
+  createContentCatalog,
+  createComponent,
+  createSiteCatalog,
+  createTempDir,
+} = require('./harness.js')
+const vlp = require('../extensions/versions-latest-prerelease/vlp.js')
+const unpublishUnlistedPages = require('../extensions/unpublish-unlisted-pages/unpublish-unlisted-pages.js')
+
+describe('vlp.js', () => {
+  let outputDir
+
+  beforeEach(() => {
+    outputDir = createTempDir()
+  })
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true })
+  })
+
+  const playbook = (site = {}) => ({ dir: outputDir, output: { dir: outputDir }, site })
+  // The component versions of prod as aggregated, before they are classified
+  const aggregate = (versions) => versions.map((version) => ({ name: 'prod', files: [], ...version }))
+  // The page attributes whose name starts with the prefix
+  const getAttributes = (page, prefix) =>
+    Object.fromEntries(Object.entries(page.asciidoc.attributes).filter(([name]) => name.startsWith(prefix)))
+
+  describe('channels', () => {
+    // Runs the extension and returns the aliases written to latest_dev.txt
+    const resolve = async (config, versions) => {
+      const context = GeneratorContext.create({ extension: vlp, config })
+      await context.notify('playbookBuilt', { playbook: playbook() })
+      await context.notify('contentAggregated', { contentAggregate: aggregate(versions) })
+      return fs.readFileSync(path.join(outputDir, 'prod/latest_dev.txt'), 'utf8')
+    }
+    const pin = (aliases) => ({ asciidoc: { attributes: { 'vlp-channels': aliases } } })
+
+    it('resolves latest to the highest stable and dev to the highest prerelease version', async () => {
+      const versions = [{ version: 'v2.11' }, { version: 'v2.13', prerelease: true }, { version: 'v2.12' }]
+
+      assert.strictEqual(await resolve({}, versions), 'prod\nlatest: v2.12\ndev: v2.13\n')
+    })
+
+    it('treats a version with prerelease: false as stable', async () => {
+      const versions = [{ version: 'v2.14', prerelease: false }, { version: 'v2.13', prerelease: true }, { version: 'v2.12' }]
+
+      assert.strictEqual(await resolve({}, versions), 'prod\nlatest: v2.14\ndev: v2.13\n')
+    })
+
+    it('resolves a channel selecting any version', async () => {
+      const channels = [{ name: 'newest', select: 'any' }]
+      const versions = [{ version: 'v2.12' }, { version: 'v2.13', prerelease: true }]
+
+      assert.strictEqual(await resolve({ channels }, versions), 'prod\nnewest: v2.13\n')
+    })
+
+    it('resolves one alias per minor version line', async () => {
+      const channels = [{ name: 'v{major}.{minor}-latest', select: 'stable', per: 'minor' }]
+      const versions = [{ version: 'v2.11.3' }, { version: 'v2.12.1' }, { version: 'v2.12.2' }, { version: 'v2.13.0', prerelease: true }]
+
+      assert.strictEqual(await resolve({ channels }, versions), 'prod\nv2.12-latest: v2.12.2\nv2.11-latest: v2.11.3\n')
+    })
+
+    it('resolves a pinned channel only from a pin, a pin wins over the selection', async () => {
+      const channels = [
+        { name: 'latest', select: 'stable' },
+        { name: 'lts', select: 'pinned', range: '>=2.9' },
+      ]
+      const versions = [{ version: 'v2.13' }, { version: 'v2.12' }, { version: 'v2.11', ...pin('lts, latest') }]
+
+      assert.strictEqual(await resolve({ channels }, versions), 'prod\nlatest: v2.11\nlts: v2.11\n')
+      assert.strictEqual(await resolve({ channels: channels.slice(1) }, [{ version: 'v2.13' }]), 'prod\n')
+    })
+
+    it('logs an error if latest_dev.txt cannot be written', async () => {
+      fs.writeFileSync(path.join(outputDir, 'prod'), '')
+      const context = GeneratorContext.create({ extension: vlp })
+      await context.notify('playbookBuilt', { playbook: playbook() })
+      await context.notify('contentAggregated', { contentAggregate: aggregate([{ version: 'v2.12' }]) })
+
+      assert.deepStrictEqual(context.messages.map(({ level }) => level), ['error'])
+      assert.match(context.messages[0].message, /Failed to write latest_dev\.txt/)
+    })
+
+    it('rejects an unusable channel', () => {
+      const register = (channels) => GeneratorContext.create({ extension: vlp, config: { channels } })
+
+      assert.throws(() => register([]), /'channels' must be a non-empty list/)
+      assert.throws(() => register([{ name: 'latest', select: 'newest' }]), /select must be one of/)
+      assert.throws(() => register([{ name: 'latest', per: 'minor' }]), /needs the version placeholders/)
+      assert.throws(() => register([{ name: 'latest' }, { name: 'latest' }]), /duplicate channel: latest/)
+    })
+  })
+  describe('references', () => {
+    it('rewrites the alias references to the versions, logging unresolved ones', async () => {
+      const source = [
+        '= Install',
+        ':page-aliases: latest@prod:en:setup.adoc',
+        '',
+        'xref:latest@prod:en:upgrade.adoc[Upgrade] and <<dev@prod:en:upgrade.adoc#top,Upgrade>>',
+        'include::latest@prod:en:partial$note.adoc[]',
+        'link:https://docs.example.com/docs/prod/latest/en/index.html[Docs]',
+        'xref:latest@other:en:index.adoc[]',
+        '',
+      ].join('\n')
+      const page = createFile({ component: 'prod', version: 'v2.12', relative: 'install.adoc', contents: source })
+      const context = GeneratorContext.create({ extension: vlp })
+      await context.notify('playbookBuilt', { playbook: playbook({ url: 'https://docs.example.com/docs' }) })
+      const contentAggregate = aggregate([{ version: 'v2.13', prerelease: true }, { version: 'v2.12', files: [page] }])
+      await context.notify('contentAggregated', { contentAggregate })
+
+      assert.strictEqual(page.contents.toString(), [
+        '= Install',
+        ':page-aliases: v2.12@prod:en:setup.adoc',
+        '',
+        'xref:v2.12@prod:en:upgrade.adoc[Upgrade] and <<v2.13@prod:en:upgrade.adoc#top,Upgrade>>',
+        'include::v2.12@prod:en:partial$note.adoc[]',
+        'link:https://docs.example.com/docs/prod/v2.12/en/index.html[Docs]',
+        'xref:latest@other:en:index.adoc[]',
+        '',
+      ].join('\n'))
+      assert.deepStrictEqual(context.messages.map(({ level, message }) => ({ level, message })), [
+        { level: 'warn', message: 'Cannot resolve xref latest@other: unknown component other' },
+        { level: 'info', message: 'Modified 5 reference(s) in file: modules/en/pages/install.adoc (component: prod)' },
+      ])
+    })
+  })
+
+  describe('versions.json', () => {
+    it('lists the versions with their aliases and the languages of the published pages', async () => {
+      const versions = [
+        { version: 'v2.14', prerelease: false, url: '/prod/v2.14/en/index.html' },
+        { version: 'v2.13', prerelease: 'rc', url: '/prod/v2.13/en/index.html' },
+        { version: 'v2.12', url: '/prod/v2.12/en/index.html' },
+      ]
+      const pages = [
+        createFile({ component: 'prod', version: 'v2.14', relative: 'index.adoc' }),
+        createFile({ component: 'prod', version: 'v2.14', module: 'zh', relative: 'index.adoc' }),
+        createFile({ component: 'prod', version: 'v2.12', relative: 'index.adoc' }),
+        createFile({ component: 'prod', version: 'v2.12', module: 'zh', relative: 'index.adoc' }),
+      ]
+      const context = GeneratorContext.create({ extension: vlp })
+      await context.notify('playbookBuilt', { playbook: playbook() })
+      await context.notify('contentAggregated', { contentAggregate: aggregate(versions) })
+      const contentCatalog = createContentCatalog([createComponent('prod', versions)], pages)
+      const siteCatalog = createSiteCatalog()
+      await context.notify('contentClassified', { contentCatalog })
+      // unpublished after the content is classified, like by unpublish-unlisted-pages
+      delete pages[3].out
+      await context.notify('beforePublish', { contentCatalog, siteCatalog })
+      const [versionsFile] = siteCatalog.getFiles()
+      const manifest = JSON.parse(versionsFile.contents)
+
+      assert.strictEqual(versionsFile.out.path, 'versions.json')
+      assert.deepStrictEqual(manifest.components[0].aliases, { latest: 'v2.14', dev: 'v2.13' })
+      assert.deepStrictEqual(
+        manifest.components[0].versions.map(({ version, prerelease, aliases, languages }) => ({ version, prerelease, aliases, languages })),
+        [
+          { version: 'v2.14', prerelease: false, aliases: ['latest'], languages: ['en', 'zh'] },
+          { version: 'v2.13', prerelease: true, aliases: ['dev'], languages: [] },
+          { version: 'v2.12', prerelease: false, aliases: [], languages: ['en'] },
+        ]
+      )
+    })
+
+    it('is not published with versionsFile: false', async () => {
+      const context = GeneratorContext.create({ extension: vlp, config: { versionsFile: false } })
+      await context.notify('playbookBuilt', { playbook: playbook() })
+      await context.notify('contentAggregated', { contentAggregate: aggregate([{ version: 'v2.12' }]) })
+      const contentCatalog = createContentCatalog([createComponent('prod', [{ version: 'v2.12' }])])
+      const siteCatalog = createSiteCatalog()
+      await context.notify('contentClassified', { contentCatalog })
+      await context.notify('beforePublish', { contentCatalog, siteCatalog })
+
+      assert.deepStrictEqual(siteCatalog.getFiles().map((file) => file.out.path), ['translations.json'])
+    })
+  })
+
+  describe('latest version attributes', () => {
+    // v2.13 is the latest version, its upgrade page is not in the navigation
+    const createSite = () => {
+      const nav = (version, relatives) => [
+        { items: relatives.map((relative) => ({ urlType: 'internal', url: `/prod/${version}/en/${relative}.html` })) },
+      ]
+      const component = createComponent('prod', [
+        { version: 'v2.13', url: '/prod/v2.13/en/index.html', navigation: nav('v2.13', ['install']) },
+        { version: 'v2.12', url: '/prod/v2.12/en/index.html', navigation: nav('v2.12', ['install', 'upgrade']) },
+      ])
+      const pages = ['v2.13', 'v2.12'].flatMap((version) =>
+        ['index', 'install', 'upgrade'].map((name) =>
+          createFile({ component: 'prod', version, relative: `${name}.adoc`, contents: '<html><head></head></html>', attributes: {} })
+        )
+      )
+      return { contentCatalog: createContentCatalog([component], pages), pages }
+    }
+
+    it('sets the attributes of a page after unlisted pages are unpublished', async () => {
+      // vlp.js first, its attributes must still see the pages unpublished by the other extension
+      const context = GeneratorContext.create(
+        { extension: vlp },
+        { extension: unpublishUnlistedPages, config: { component: 'prod' } }
+      )
+      const { contentCatalog, pages } = createSite()
+      await context.notify('playbookBuilt', { playbook: playbook() })
+      await context.notify('contentAggregated', { contentAggregate: aggregate([{ version: 'v2.13' }, { version: 'v2.12' }]) })
+      await context.notify('contentClassified', { contentCatalog })
+      await context.notify('navigationBuilt', { playbook: playbook(), contentCatalog })
+
+      const getPage = (version, name) => pages.find((page) => page.src.version === version && page.src.relative === `${name}.adoc`)
+      assert.strictEqual(getPage('v2.13', 'upgrade').out, undefined)
+      assert.deepStrictEqual(getAttributes(getPage('v2.12', 'install'), 'page-latest'), {
+        'page-latest-version': 'v2.13',
+        'page-latest-url': '/prod/v2.13/en/install.html',
+      })
+      assert.deepStrictEqual(getAttributes(getPage('v2.12', 'upgrade'), 'page-latest'), {
+        'page-latest-version': 'v2.13',
+      })
+      assert.strictEqual(getPage('v2.12', 'upgrade').asciidoc.attributes['page-is-latest'], 'false')
+      assert.strictEqual(getPage('v2.13', 'index').asciidoc.attributes['page-is-latest'], 'true')
+    })
+
+    it('only uses a published page of the latest version as canonical page', async () => {
+      const context = GeneratorContext.create(
+        { extension: vlp },
+        { extension: unpublishUnlistedPages, config: { component: 'prod' } }
+      )
+      const { contentCatalog, pages } = createSite()
+      const siteCatalog = createSiteCatalog()
+      const site = { url: 'https://docs.example.com' }
+      await context.notify('playbookBuilt', { playbook: playbook(site) })
+      await context.notify('contentAggregated', { contentAggregate: aggregate([{ version: 'v2.13' }, { version: 'v2.12' }]) })
+      await context.notify('contentClassified', { contentCatalog })
+      await context.notify('navigationBuilt', { playbook: playbook(site), contentCatalog })
+      // Unpublished by some other extension after the navigation was built
+      const getPage = (version, name) => pages.find((page) => page.src.version === version && page.src.relative === `${name}.adoc`)
+      delete getPage('v2.13', 'index').out
+      getPage('v2.12', 'upgrade').asciidoc.attributes.revdate = '2026-01-15'
+      await context.notify('beforePublish', { contentCatalog, siteCatalog })
+
+      const getCanonicalUrl = (version, name) =>
+        getPage(version, name).contents.toString().match(/<link rel="canonical" href="([^"]*)">/)[1]
+      assert.strictEqual(getCanonicalUrl('v2.12', 'install'), 'https://docs.example.com/prod/v2.13/en/install.html')
+      assert.strictEqual(getCanonicalUrl('v2.12', 'upgrade'), 'https://docs.example.com/prod/v2.12/en/upgrade.html')
+      assert.strictEqual(getCanonicalUrl('v2.12', 'index'), 'https://docs.example.com/prod/v2.12/en/index.html')
+      const sitemap = siteCatalog.getFiles().find((file) => file.out.path === 'sitemap-prod.xml').contents.toString()
+      assert.deepStrictEqual([...sitemap.matchAll(/<loc>(.*)<\/loc>/g)].map((match) => match[1]), [
+        'https://docs.example.com/prod/v2.12/en/index.html',
+        'https://docs.example.com/prod/v2.12/en/upgrade.html',
+        'https://docs.example.com/prod/v2.13/en/install.html',
+      ])
+      assert.match(sitemap, /<loc>https:\/\/docs\.example\.com\/prod\/v2\.12\/en\/upgrade\.html<\/loc>\n<lastmod>2026-01-15<\/lastmod>/)
+      const sitemapIndex = siteCatalog.getFiles().find((file) => file.out.path === 'sitemap.xml').contents.toString()
+      assert.match(sitemapIndex, /<loc>https:\/\/docs\.example\.com\/sitemap-prod\.xml<\/loc>/)
+    })
+  })
+
+  describe('locale packs', () => {
+    it('injects the pack of the language into each file, the en pack too', async () => {
+      const context = GeneratorContext.create({ extension: vlp, config: { languageFallbacks: [['fr_ca', 'fr']] } })
+      const pages = ['en', 'fr_ca'].map((module) =>
+        createFile({ component: 'prod', version: 'v2.12', module, relative: 'index.adoc', contents: '= Title' }))
+      const languageData = [
+        { en: [':note-caption: Note', ':tip-caption: Tip'] },
+        { fr: [':note-caption: Remarque'] },
+      ]
+      await context.notify('playbookBuilt', { playbook: playbook() })
+      await context.notify('contentClassified', {
+        contentCatalog: createContentCatalog([], pages),
+        siteAsciiDocConfig: { attributes: { 'language-data': languageData } },
+      })
+
+      assert.strictEqual(pages[0].contents.toString(), ':page-lang_en: true\n:note-caption: Note\n:tip-caption: Tip\n= Title')
+      assert.strictEqual(pages[1].contents.toString(), ':page-lang_fr_ca: true\n:note-caption: Remarque\n:tip-caption: Tip\n= Title')
+      assert.deepStrictEqual(context.messages.filter(({ level }) => level === 'warn').map(({ message }) => message), [
+        'Locale pack fr does not define tip-caption, falling back to en',
+      ])
+    })
+  })
+
+  describe('translations', () => {
+    it('links the published translations of a page in its attributes and in translations.json', async () => {
+      const context = GeneratorContext.create(
+        { extension: vlp, config: { versionsFile: false } },
+        { extension: unpublishUnlistedPages, config: { component: 'prod' } }
+      )
+      const navigation = [{
+        items: ['en/install', 'zh/install', 'en/upgrade'].map((url) => ({ urlType: 'internal', url: `/prod/v2.12/${url}.html` })),
+      }]
+      const component = createComponent('prod', [{ version: 'v2.12', url: '/prod/v2.12/en/install.html', navigation }])
+      const pages = ['en', 'zh'].flatMap((module) =>
+        ['install', 'upgrade'].map((name) => createFile({ component: 'prod', version: 'v2.12', module, relative: `${name}.adoc`, attributes: {} }))
+      )
+      const contentCatalog = createContentCatalog([component], pages)
+      const siteCatalog = createSiteCatalog()
+      await context.notify('playbookBuilt', { playbook: playbook() })
+      await context.notify('contentAggregated', { contentAggregate: aggregate([{ version: 'v2.12' }]) })
+      await context.notify('contentClassified', { contentCatalog })
+      await context.notify('navigationBuilt', { playbook: playbook(), contentCatalog })
+      await context.notify('beforePublish', { contentCatalog, siteCatalog })
+
+      const [enInstall, enUpgrade] = pages
+      assert.deepStrictEqual(getAttributes(enInstall, 'page-translation'), {
+        'page-translation-languages': 'en, zh',
+        'page-translation-url_en': '/prod/v2.12/en/install.html',
+        'page-translation-url_zh': '/prod/v2.12/zh/install.html',
+      })
+      assert.deepStrictEqual(getAttributes(enUpgrade, 'page-translation'), {
+        'page-translation-languages': 'en',
+        'page-translation-url_en': '/prod/v2.12/en/upgrade.html',
+      })
+      const translationsFile = siteCatalog.getFiles().find((file) => file.out.path === 'translations.json')
+      assert.deepStrictEqual(JSON.parse(translationsFile.contents).components, {
+        prod: {
+          'v2.12': {
+            'install.adoc': { en: '/prod/v2.12/en/install.html', zh: '/prod/v2.12/zh/install.html' },
+            'upgrade.adoc': { en: '/prod/v2.12/en/upgrade.html' },
+          },
+        },
+      })
+    })
+
+    it('warns if :page-languages: does not match the translations', async () => {
+      const context = GeneratorContext.create({ extension: vlp })
+      const pages = [
+        createFile({ component: 'prod', version: 'v2.12', module: 'en', relative: 'install.adoc', contents: '= Install\n:page-languages: [en, ja]\n' }),
+        createFile({ component: 'prod', version: 'v2.12', module: 'zh', relative: 'install.adoc', contents: '= 安装\n:page-languages: en, zh\n' }),
+      ]
+      await context.notify('playbookBuilt', { playbook: playbook() })
+      await context.notify('contentClassified', { contentCatalog: createContentCatalog([], pages), siteAsciiDocConfig: { attributes: {} } })
+
+      assert.deepStrictEqual(context.messages.filter(({ level }) => level === 'warn').map(({ message }) => message), [
+        ':page-languages: lists ja without a page and leaves out zh with a page',
+      ])
+    })
+  })
+
+  describe('alias output', () => {
+    const versions = [{ version: 'v2.13', prerelease: true }, { version: 'v2.12' }]
+    const site = { url: 'https://docs.example.com/docs', startPage: 'v2.12@prod:en:index.adoc' }
+
+    // Runs the extension up to sitePublished, with the files already in the output directory
+    const publish = async (aliasOutput, files = {}) => {
+      Object.entries(files).forEach(([relative, contents]) => {
+        fs.mkdirSync(path.dirname(path.join(outputDir, relative)), { recursive: true })
+        fs.writeFileSync(path.join(outputDir, relative), contents)
+      })
+      const context = GeneratorContext.create({ extension: vlp, config: { aliasOutput } })
+      await context.notify('playbookBuilt', { playbook: playbook(site) })
+      await context.notify('contentAggregated', { contentAggregate: aggregate(versions) })
+      await context.notify('sitePublished', { playbook: { ...playbook(site), asciidoc: { attributes: {} } } })
+    }
+    const read = (relative) => fs.readFileSync(path.join(outputDir, relative), 'utf8')
+
+    it('replaces the alias copies of a previous run, not other directories', async () => {
+      const context = GeneratorContext.create({ extension: vlp, config: { aliasOutput: 'copy' } })
+      const build = async (versions) => {
+        versions.forEach(({ version }) => {
+          fs.mkdirSync(path.join(outputDir, 'prod', version), { recursive: true })
+          fs.writeFileSync(path.join(outputDir, 'prod', version, 'index.html'), version)
+        })
+        await context.notify('playbookBuilt', { playbook: playbook() })
+        await context.notify('contentAggregated', { contentAggregate: aggregate(versions) })
+        await context.notify('sitePublished', { playbook: playbook() })
+      }
+
+      await build([{ version: 'v2.12' }])
+      assert.strictEqual(read('prod/latest/index.html'), 'v2.12')
+      fs.mkdirSync(path.join(outputDir, 'prod', 'dev'))
+      fs.writeFileSync(path.join(outputDir, 'prod', 'dev', 'index.html'), 'not a copy')
+      await build([{ version: 'v2.14', prerelease: true }, { version: 'v2.13' }, { version: 'v2.12' }])
+      assert.strictEqual(read('prod/latest/index.html'), 'v2.13')
+      assert.strictEqual(read('prod/dev/index.html'), 'not a copy')
+    })
+
+    it('writes Netlify rewrites, replacing the rules of a previous run', async () => {
+      const previous = '/old /new 301\n# BEGIN vlp.js aliases\n/docs/prod/latest /docs/prod/v2.11/ 200\n# END vlp.js aliases\n/other /new 301\n'
+      await publish('netlify', { _redirects: previous })
+
+      assert.strictEqual(read('_redirects'), [
+        '/old /new 301',
+        '/other /new 301',
+        '# BEGIN vlp.js aliases',
+        '/docs/prod/latest /docs/prod/v2.12/ 200',
+        '/docs/prod/latest/* /docs/prod/v2.12/:splat 200',
+        '/docs/prod/dev /docs/prod/v2.13/ 200',
+        '/docs/prod/dev/* /docs/prod/v2.13/:splat 200',
+        '# END vlp.js aliases',
+        '',
+      ].join('\n'))
+      assert.ok(!fs.existsSync(path.join(outputDir, 'prod/latest')))
+    })
+
+    it('writes nginx rewrites to a file of its own', async () => {
+      await publish('nginx', { '.etc/nginx/vlp-aliases.conf': 'rewrite ^/stale$ /stale last;\n' })
+
+      assert.strictEqual(read('.etc/nginx/vlp-aliases.conf'), [
+        '# BEGIN vlp.js aliases',
+        'rewrite ^/docs/prod/latest(/.*)?$ /docs/prod/v2.12$1 last;',
+        'rewrite ^/docs/prod/dev(/.*)?$ /docs/prod/v2.13$1 last;',
+        '# END vlp.js aliases',
+        '',
+      ].join('\n'))
+    })
+
+    it('writes Apache rewrites and points the start page at the channel', async () => {
+      await publish('apache', {
+        '.htaccess': 'Redirect 301 /docs/old /docs/new\n',
+        'index.html': '<a href="prod/v2.12/en/index.html">',
+      })
+
+      assert.strictEqual(read('.htaccess'), [
+        'Redirect 301 /docs/old /docs/new',
+        '# BEGIN vlp.js aliases',
+        'RewriteEngine On',
+        'RewriteRule ^prod/latest(/.*)?$ /docs/prod/v2.12$1 [L]',
+        'RewriteRule ^prod/dev(/.*)?$ /docs/prod/v2.13$1 [L]',
+        '# END vlp.js aliases',
+        '',
+      ].join('\n'))
+      assert.strictEqual(read('index.html'), '<a href="prod/latest/en/index.html">')
+    })
+  })
+})